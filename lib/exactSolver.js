@@ -0,0 +1,377 @@
+// A slower, more thorough alternative to geneticSolver for organizers who want
+// the best schedule they can get.
+//
+// It first looks for a known design that seats every round without anybody
+// meeting twice. Otherwise it starts from geneticSolver's schedule and improves
+// all the rounds together, swapping players between tables within a round,
+// until its time budget runs out or the schedule is proven optimal.
+//
+// Either way the rounds are handed back to geneticSolver as plannedRounds, so
+// they get the same seat and table balancing and progress reports.
+
+const { geneticSolver, tablePins, range, shuffle, seededRandom } = require('./geneticSolver')
+
+// Moves planned per second of time budget. A slower machine stops at the time
+// budget instead, so the moves actually tried are reported with the results:
+// a seeded run given the same searchMoves gives the same schedule anywhere.
+const MOVES_PER_SECOND = 700000
+// How many moves go by between looks at the clock
+const CLOCK_CHECK_EVERY = 1000
+const DEFAULT_TIME_BUDGET = 10
+// How many status reports the search sends, and how many times it shares the
+// best schedule so far (which is what's kept if seating is cancelled)
+const STATUS_REPORTS = 100
+const SHARED_SCHEDULES = 10
+// The weight of a forbidden pair during the search. geneticSolver uses
+// Infinity, which doesn't survive the subtraction in the move costs.
+const FORBIDDEN_WEIGHT = 1000
+
+// Irreducible polynomials (lowest coefficient first) for the field sizes that
+// aren't prime, e.g. x^2 + x + 1 for four elements
+const IRREDUCIBLE = {
+  4: [1, 1, 1],
+  8: [1, 1, 0, 1],
+  9: [1, 0, 1],
+}
+
+/**
+ * Seat the tournament like geneticSolver, taking longer to find a better
+ * schedule. The arguments are the same as geneticSolver's, plus:
+ *
+ * @param {number} options.timeBudget the most seconds to search for, counted
+ *        from the start; defaults to 10.
+ * @param {number} options.searchMoves replays a run: try exactly this many moves
+ *        (the searchMoves of its results), however long they take.
+ * @param {function} options.onGeneration also gets {stage: 'search', move, moves,
+ *        bestScore} while the whole schedule is being improved.
+ *
+ * Progress reports also have an optimal flag. It is true when no schedule could
+ * have fewer repeat pairings than the one found: a known design has none at all,
+ * and otherwise the conflict score reached a lower bound worked out from how many
+ * opponents every player meets. With byes or mixed table sizes the bound assumes
+ * the players sit out and sit at small tables as they do in the schedule found.
+ * When the schedule was improved, the final report also has the number of
+ * searchMoves tried.
+ */
+function exactSolver(
+  groups, ofSize, forRounds, withGroupLeaders,
+  forbiddenPairs=[], discouragedGroups=[], onProgress, options={}
+  ) {
+  const startedAt = Date.now()
+  const fixedRounds = options.fixedRounds || []
+  const tableSizes = options.tableSizes || range(groups).map(() => ofSize)
+  const activePlayers = options.activePlayers || range(options.numPlayers || groups * ofSize)
+  const random = options.seed !== undefined && options.seed !== null
+    ? seededRandom(`${options.seed}/exact`)
+    : Math.random
+  let searchMoves
+
+  // Seat the planned rounds and report them. A schedule that's still being
+  // improved is reported once, as not done.
+  function seatPlannedRounds(plannedRounds, optimal, final = true) {
+    let last
+    geneticSolver(groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups,
+      (results) => {
+        if (final) onProgress(searchMoves === undefined ? { ...results, optimal } : { ...results, optimal, searchMoves })
+        last = results
+      },
+      { ...options, plannedRounds })
+    if (!final) onProgress({ ...last, optimal: false, done: false })
+  }
+
+  if (fixedRounds.length >= forRounds) {
+    return seatPlannedRounds([], false)
+  }
+
+  // Known designs only fit a tournament with nothing else to take into account
+  const designFits = fixedRounds.length === 0 && !withGroupLeaders && !options.standings
+    && forbiddenPairs.length === 0 && discouragedGroups.length === 0
+    && tableSizes.every(size => size === ofSize)
+    && activePlayers.length === tableSizes.length * ofSize
+  const design = designFits && knownDesign(activePlayers.length, ofSize, forRounds)
+  if (design) {
+    // Give everybody a random place in the design
+    const players = shuffle(random, activePlayers)
+    return seatPlannedRounds(design.map(round => round.map(table => table.map(i => players[i]))), true)
+  }
+
+  // Start from geneticSolver's schedule
+  let start
+  geneticSolver(groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups,
+    (results) => { start = results }, options)
+  const schedule = start.rounds.slice(fixedRounds.length).map(round => round.map(table => table.slice()))
+  const benches = start.byes.slice(fixedRounds.length)
+
+  // Group leaders and players pinned by a table rule stay where they are
+  const locked = new Set([
+    ...(withGroupLeaders ? activePlayers.slice(0, tableSizes.length) : []),
+    ...[].concat(...Object.values(tablePins(tableSizes, withGroupLeaders, options))),
+  ])
+
+  // Weight of every pair before these rounds (the constraints and the rounds
+  // already played), and how often they meet in these rounds
+  const totalSize = start.weights.length
+  const meetings = range(totalSize).map(() => range(totalSize).fill(0))
+  schedule.forEach(round => round.forEach(table => forEachPair(table, (a, b) => {
+    meetings[a][b]++
+    meetings[b][a]++
+  })))
+  const baseWeights = start.weights.map((row, a) => row.map((weight, b) =>
+    Math.min(weight - meetings[a][b], FORBIDDEN_WEIGHT)))
+
+  const standingsRank = {}
+  const standings = options.standings || []
+  standings.forEach((person, rank) => standingsRank[person] = rank)
+  const standingsWeight = options.standingsWeight === undefined ? 1 : options.standingsWeight
+
+  // Matches geneticSolver's standingsCost for one pair at a table of <size>
+  function standingsCost(a, b, size) {
+    if (standingsRank[a] === undefined || standingsRank[b] === undefined) return 0
+    return standingsWeight * Math.max(0, Math.abs(standingsRank[a] - standingsRank[b]) - (size - 1))
+  }
+
+  // geneticSolver's pairCost charges the square of the pair's weight every
+  // time they meet, and the weight goes up by one each time
+  function joinCost(a, b) {
+    return Math.pow(baseWeights[a][b] + meetings[a][b], 2)
+  }
+  function leaveCost(a, b) {
+    return -Math.pow(baseWeights[a][b] + meetings[a][b] - 1, 2)
+  }
+
+  // How the pair cost and standings cost change when <p> at table <from>
+  // and <q> at table <to> trade places
+  function swapCost(from, to, p, q) {
+    let pairs = 0
+    let standings = 0
+    from.forEach(other => {
+      if (other === p) return
+      pairs += leaveCost(p, other) + joinCost(q, other)
+      standings += standingsCost(q, other, from.length) - standingsCost(p, other, from.length)
+    })
+    to.forEach(other => {
+      if (other === q) return
+      pairs += leaveCost(q, other) + joinCost(p, other)
+      standings += standingsCost(p, other, to.length) - standingsCost(q, other, to.length)
+    })
+    return { pairs, standings }
+  }
+
+  // <leaving> no longer sits with <other>, and <joining> now does
+  function trade(leaving, joining, other) {
+    meetings[leaving][other] = --meetings[other][leaving]
+    meetings[joining][other] = ++meetings[other][joining]
+  }
+
+  let pairCost = 0
+  let totalStandingsCost = 0
+  forEachPair(range(totalSize), (a, b) => {
+    for (let k = 0; k < meetings[a][b]; k++) pairCost += Math.pow(baseWeights[a][b] + k, 2)
+  })
+  schedule.forEach(round => round.forEach(table => forEachPair(table, (a, b) => {
+    totalStandingsCost += standingsCost(a, b, table.length)
+  })))
+
+  const lowerBound = repeatLowerBound(fixedRounds, schedule, totalSize)
+  // With standings to match, a schedule is only certainly best when nothing costs anything
+  const target = options.standings ? 0 : lowerBound
+
+  let best = { schedule: schedule.map(round => round.map(table => table.slice())), pairCost, total: pairCost + totalStandingsCost }
+  const timeBudget = options.timeBudget > 0 ? options.timeBudget : DEFAULT_TIME_BUDGET
+  const moves = Math.round(timeBudget * MOVES_PER_SECOND)
+  const deadline = startedAt + timeBudget * 1000
+  const reportEvery = Math.max(1, Math.floor(moves / STATUS_REPORTS))
+  const shareEvery = Math.max(1, Math.floor(moves / SHARED_SCHEDULES))
+  const replay = Number.isInteger(options.searchMoves) ? options.searchMoves : null
+  let shared = best
+  let move = 0
+  for (; move < moves && best.total > target; move++) {
+    const stop = replay !== null
+      ? move >= replay
+      : move % CLOCK_CHECK_EVERY === 0 && Date.now() > deadline
+    if (stop) break
+    if (move % reportEvery === 0 && options.onGeneration) {
+      options.onGeneration({ stage: 'search', move, moves, bestScore: best.total })
+    }
+    if (move % shareEvery === 0 && shared !== best) {
+      seatPlannedRounds(plannedRoundsFor(best.schedule), false, false)
+      shared = best
+    }
+
+    // Simulated annealing: accept some moves that make things worse early
+    // on, to get out of dead ends, and fewer and fewer as time runs out
+    const temperature = 1 - move / moves
+    const round = schedule[Math.floor(random() * schedule.length)]
+    if (round.length < 2) break
+    const i = Math.floor(random() * round.length)
+    const j = (i + 1 + Math.floor(random() * (round.length - 1))) % round.length
+    const from = round[i]
+    const to = round[j]
+    const pSeat = Math.floor(random() * from.length)
+    const qSeat = Math.floor(random() * to.length)
+    const p = from[pSeat]
+    const q = to[qSeat]
+    if (locked.has(p) || locked.has(q)) continue
+
+    const cost = swapCost(from, to, p, q)
+    const change = cost.pairs + cost.standings
+    if (change > 0 && random() >= Math.exp(-change / temperature)) continue
+
+    from[pSeat] = q
+    to[qSeat] = p
+    from.forEach(other => { if (other !== q) trade(p, q, other) })
+    to.forEach(other => { if (other !== p) trade(q, p, other) })
+    pairCost += cost.pairs
+    totalStandingsCost += cost.standings
+
+    if (pairCost + totalStandingsCost < best.total) {
+      best = { schedule: schedule.map(round => round.map(table => table.slice())), pairCost, total: pairCost + totalStandingsCost }
+    }
+  }
+
+  searchMoves = move
+  seatPlannedRounds(plannedRoundsFor(best.schedule), best.pairCost <= lowerBound)
+
+  // The players sitting out go back in as the last group of each round
+  function plannedRoundsFor(rounds) {
+    const byesPerRound = activePlayers.length - tableSizes.reduce((sum, size) => sum + size, 0)
+    return rounds.map((round, r) => byesPerRound > 0 ? [...round, benches[r]] : round)
+  }
+}
+
+/**
+ * A known schedule where nobody meets anybody twice, for <numPlayers> players
+ * at tables of <ofSize>, or null when we don't know one.
+ *
+ * With n tables, where n is a prime power no smaller than ofSize, number the
+ * players (i, x) for i < ofSize and x in the field with n elements. Round m
+ * seats (i, m*i + c) for every i at table c. Two players (i, x) and (j, y) only
+ * meet in the round where m*(i - j) = x - y, which has exactly one solution
+ * (a resolvable transversal design). When there are as many tables as seats at
+ * a table, e.g. 16 players at 4 tables of 4, this is an affine plane, and
+ * seating everybody with the same i together gives one more round.
+ *
+ * Player (i, x) is numbered i * n + x.
+ */
+function knownDesign(numPlayers, ofSize, forRounds) {
+  const n = numPlayers / ofSize
+  if (!Number.isInteger(n) || n < ofSize) return null
+  const field = finiteField(n)
+  if (!field) return null
+
+  const rounds = range(n).map(m =>
+    range(n).map(c =>
+      range(ofSize).map(i => i * n + field.add(field.mul(m, i), c))))
+  if (ofSize === n) {
+    rounds.push(range(n).map(i => range(n).map(x => i * n + x)))
+  }
+  return rounds.length >= forRounds ? rounds.slice(0, forRounds) : null
+}
+
+// Addition and multiplication in the finite field with <order> elements,
+// numbered 0 to order - 1, or null when we can't build it
+function finiteField(order) {
+  if (isPrime(order)) {
+    return {
+      add: (a, b) => (a + b) % order,
+      mul: (a, b) => (a * b) % order,
+    }
+  }
+  const polynomial = IRREDUCIBLE[order]
+  if (!polynomial) return null
+
+  // Elements are polynomials over the prime field, with their coefficients
+  // as the digits of the element's number
+  const degree = polynomial.length - 1
+  const prime = Math.round(Math.pow(order, 1 / degree))
+  const digits = number => range(degree).map(i => Math.floor(number / Math.pow(prime, i)) % prime)
+  const toNumber = coefficients => coefficients.reduce((sum, digit, i) => sum + digit * Math.pow(prime, i), 0)
+
+  function add(a, b) {
+    const bDigits = digits(b)
+    return toNumber(digits(a).map((digit, i) => (digit + bDigits[i]) % prime))
+  }
+
+  function mul(a, b) {
+    const product = new Array(2 * degree - 1).fill(0)
+    digits(a).forEach((aDigit, i) => digits(b).forEach((bDigit, j) => {
+      product[i + j] = (product[i + j] + aDigit * bDigit) % prime
+    }))
+    // Reduce modulo the polynomial, highest power first
+    for (let power = product.length - 1; power >= degree; power--) {
+      const coefficient = product[power]
+      polynomial.forEach((term, i) => {
+        const at = power - degree + i
+        product[at] = ((product[at] - coefficient * term) % prime + prime) % prime
+      })
+    }
+    return toNumber(product.slice(0, degree))
+  }
+
+  return { add, mul }
+}
+
+function isPrime(number) {
+  if (number < 2) return false
+  for (let divisor = 2; divisor * divisor <= number; divisor++) {
+    if (number % divisor === 0) return false
+  }
+  return true
+}
+
+// The least total pair cost that the rounds being seated can have, however
+// they are arranged. Every player meets a certain number of opponents over
+// the whole tournament; the cheapest way to do that spreads the meetings as
+// evenly as possible over everybody else. Rounds already played have a cost
+// that is subtracted.
+function repeatLowerBound(fixedRounds, schedule, totalSize) {
+  const opponents = range(totalSize).fill(0)
+  const fixedMeetings = {}
+  let fixedCost = 0
+  const everybody = new Set()
+  fixedRounds.forEach(round => round.forEach(table => {
+    table.forEach(person => everybody.add(person))
+    forEachPair(table, (a, b) => {
+      const key = `${a},${b}`
+      fixedCost += Math.pow(fixedMeetings[key] || 0, 2)
+      fixedMeetings[key] = (fixedMeetings[key] || 0) + 1
+    })
+  }))
+  const allRounds = [...fixedRounds, ...schedule]
+  allRounds.forEach(round => round.forEach(table => table.forEach(person => {
+    everybody.add(person)
+    opponents[person] += table.length - 1
+  })))
+
+  const others = everybody.size - 1
+  const total = [...everybody].reduce((sum, person) => sum + leastMeetingCost(opponents[person], others), 0)
+  // Each pair was counted once for each of its players
+  return Math.max(0, Math.ceil(total / 2) - fixedCost)
+}
+
+// The least cost for a player meeting <opponents> opponents among <others>
+// other players: as evenly spread as possible
+function leastMeetingCost(opponents, others) {
+  if (others <= 0) return 0
+  const each = Math.floor(opponents / others)
+  const extra = opponents % others
+  return extra * meetingCost(each + 1) + (others - extra) * meetingCost(each)
+}
+
+// What a pair meeting <times> times costs altogether when nothing else
+// weighs on them: 0 + 1 + 4 + ...
+function meetingCost(times) {
+  let cost = 0
+  for (let k = 0; k < times; k++) cost += k * k
+  return cost
+}
+
+function forEachPair(array, callback) {
+  for (let i = 0; i < array.length - 1; i++) {
+    for (let j = i + 1; j < array.length; j++) {
+      callback(array[i], array[j])
+    }
+  }
+}
+
+module.exports = { exactSolver, knownDesign }
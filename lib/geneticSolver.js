@@ -1,6 +1,9 @@
 const GENERATIONS = 30
 const RANDOM_MUTATIONS = 2
 const MAX_DESCENDANTS_TO_EXPLORE = 100
+// Cost of sitting out once more for each bye a player already had. It is
+// large enough that a fair bye rotation always beats avoiding a repeat pair.
+const BYE_WEIGHT = 100
 
 /**
  * Attempt to quickly approach a solution for the social golfer problem in the given
@@ -9,7 +12,7 @@ const MAX_DESCENDANTS_TO_EXPLORE = 100
  * @param {number} groups how many groups per round
  * @param {number} ofSize how many players per group
  * @param {number} forRounds how many rounds to compute
- * @param {boolean} withGroupLeaders gives the first <groups> players a special role.
+ * @param {boolean} withGroupLeaders gives the first <groups> (active) players a special role.
  *        It will never match any pair of them, quickly assigning one to each group
  *        when generating permutations.
  * @param {number[][]} forbiddenPairs gives pairs of players that should never be grouped.
@@ -17,21 +20,189 @@ const MAX_DESCENDANTS_TO_EXPLORE = 100
  * @param {number[][]} discouragedGroups gives groups of players that should be discouraged,
  *        by default; each pairs is seeded with weight 1.
  * @param {function} onProgress is a callback for reporting partial or full results.
+ * @param {object} options for player counts that don't fill every table:
+ * @param {number} options.numPlayers how many players there are in total; defaults to
+ *        groups * ofSize. Players who don't fit at a table sit out that round (a bye),
+ *        and byes are rotated so nobody sits out twice before everybody sat out once.
+ * @param {number[]} options.tableSizes how many players sit at each of the <groups>
+ *        tables, e.g. [4, 3, 3, 3]; defaults to <ofSize> at every table.
+ * @param {number[]} options.activePlayers which players can be seated; defaults to all of
+ *        them. Players who withdrew are left out, but keep their place in the weights.
+ * @param {number[][][]} options.fixedRounds rounds that were already played. They are
+ *        returned unchanged as the first rounds, and their pairings and byes seed the
+ *        weights, so only the remaining rounds are solved.
+ * @param {number[][]} options.fixedByes the players who sat out each of the fixedRounds.
+ * @param {number[]} options.standings players from first to last place, for Swiss-style
+ *        seating. Tables then also cost more the further apart their players are in the
+ *        standings, so leaders play leaders, on top of the usual repeat-pairing cost.
+ * @param {number} options.standingsWeight how much standings distance counts compared to
+ *        a repeat pairing; defaults to 1.
+ *
+ * @param {boolean} options.balanceTables puts the groups at physical tables (the group's
+ *        index in the round) so players rotate around the venue instead of returning to
+ *        a table they already sat at.
+ * @param {object[]} options.tableRules pin players to particular tables, as
+ *        {table, top}: the next <top> players in the standings sit at table index <table>,
+ *        e.g. the top four at a streamed feature table. Rules are filled in order, so a
+ *        second rule gets the players ranked after the first one's. Only used when
+ *        standings are given, and not together with withGroupLeaders.
+ * @param {string} options.seed makes the run reproducible: the same seed and inputs
+ *        always give the same rounds. Each round draws from its own generator seeded
+ *        with the seed and the round number, so seating the rounds one at a time (or
+ *        resuming after fixedRounds) gives the same rounds as seating them all at once.
+ *        Without a seed every run is different.
+ * @param {number[][][]} options.plannedRounds rounds worked out elsewhere (see
+ *        lib/exactSolver.js) to use for the rounds after the fixedRounds instead of
+ *        searching. Each is laid out like a permutation below: the tables, then the
+ *        players sitting out. They still get seat and table balancing.
+ * @param {number} options.generations how many generations to evolve each round for;
+ *        defaults to GENERATIONS.
+ * @param {number} options.randomMutations how many random permutations to add to each
+ *        generation; defaults to RANDOM_MUTATIONS.
+ * @param {number} options.maxDescendants how many of the best options to carry into the
+ *        next generation; defaults to MAX_DESCENDANTS_TO_EXPLORE.
+ * @param {function} options.onGeneration called after every generation with
+ *        {stage: 'round', round, forRounds, generation, generations, bestScore}, where
+ *        bestScore is the lowest score of any option for the round so far.
+ *
+ * Within each table the players are also put in seat order (East, South, West, North)
+ * so that everybody's starting wind is spread as evenly as possible across rounds.
+ * Progress reports include seatScores next to roundScores: 0 means every player got
+ * one of their least-used winds that round. tableRepeats counts the players who sit at
+ * a physical table they already sat at.
  */
 function geneticSolver(
   groups, ofSize, forRounds, withGroupLeaders,
-  forbiddenPairs=[], discouragedGroups=[], onProgress
+  forbiddenPairs=[], discouragedGroups=[], onProgress, options={}
   ) {
-  const totalSize = groups * ofSize;
+  const totalSize = options.numPlayers || groups * ofSize;
+  const generations = options.generations > 0 ? options.generations : GENERATIONS;
+  const randomMutations = options.randomMutations >= 0 ? options.randomMutations : RANDOM_MUTATIONS;
+  const maxDescendants = options.maxDescendants > 0 ? options.maxDescendants : MAX_DESCENDANTS_TO_EXPLORE;
+  const tableSizes = options.tableSizes || range(groups).map(() => ofSize);
+  const activePlayers = options.activePlayers || range(totalSize);
+  const byesPerRound = activePlayers.length - tableSizes.reduce((sum, size) => sum + size, 0);
+  const leaders = withGroupLeaders ? activePlayers.slice(0, tableSizes.length) : [];
+
+  // Players sitting out are kept in an extra "bench" group after the tables,
+  // so the mutations below can swap people on and off it like any other group.
+  const benchIndex = byesPerRound > 0 ? tableSizes.length : -1;
+  const byeCounts = range(totalSize).map(() => 0);
+
+  // Place in the standings of every player, when seating by standings
+  const standingsRank = {};
+  (options.standings || []).forEach((person, rank) => standingsRank[person] = rank);
+  const standingsWeight = options.standingsWeight === undefined ? 1 : options.standingsWeight;
+
+  // Players pinned to a table by a table rule, by table index
+  const pinned = tablePins(tableSizes, withGroupLeaders, options);
+  const pinnedPlayers = [].concat(...Object.values(pinned));
 
   // Weights represents the number of times a given pair has been grouped before,
   // or may sometimes have artificial constraints, like infinity weights for pairs
   // who should never be grouped.
+  function pairCost(group, weights) {
+    let groupCost = 0
+    forEachPair(group, (a, b) => groupCost += Math.pow(weights[a][b], 2))
+    return groupCost
+  }
+
+  // How many times each player started in each seat, for wind balancing
+  const windCounts = range(totalSize).map(() => [0, 0, 0, 0]);
+
+  // A seat costs more the more often the player already started there than
+  // in their least-used seat at this table
+  function seatCost(table) {
+    let cost = 0
+    table.forEach((person, seat) => {
+      const leastUsed = Math.min(...windCounts[person].slice(0, table.length))
+      cost += Math.pow(windCounts[person][seat] - leastUsed, 2)
+    })
+    return cost
+  }
+
+  // Choose the seat order with the lowest seat cost. Tables are at most a
+  // handful of players, so trying every order is cheap.
+  function balanceSeats(table) {
+    let best = table
+    let bestCost = seatCost(table)
+    for (const order of permutations(table)) {
+      if (bestCost === 0) break
+      const cost = seatCost(order)
+      if (cost < bestCost) {
+        best = order
+        bestCost = cost
+      }
+    }
+    return best
+  }
+
+  function updateWindCounts(round) {
+    round.forEach(table => table.forEach((person, seat) => windCounts[person][seat]++))
+  }
+
+  // How many times each player sat at each physical table, by table index
+  const tableVisits = range(totalSize).map(() => ({}));
+
+  function tableCost(group, table) {
+    return group.reduce((cost, person) => cost + Math.pow(tableVisits[person][table] || 0, 2), 0)
+  }
+
+  // Reorder the groups among the tables no rule pins them to, swapping pairs
+  // of groups while that lowers the number of return visits
+  function assignTables(tables) {
+    const order = tables.slice()
+    if (!options.balanceTables) return order
+    const movable = range(order.length).filter(t => !pinned[t])
+    let improved = true
+    while (improved) {
+      improved = false
+      forEachPair(movable, (a, b) => {
+        const current = tableCost(order[a], a) + tableCost(order[b], b)
+        const swapped = tableCost(order[a], b) + tableCost(order[b], a)
+        if (swapped < current) {
+          [order[a], order[b]] = [order[b], order[a]]
+          improved = true
+        }
+      })
+    }
+    return order
+  }
+
+  function updateTableVisits(round) {
+    round.forEach((group, table) => group.forEach(person => {
+      tableVisits[person][table] = (tableVisits[person][table] || 0) + 1
+    }))
+  }
+
+  function countTableRepeats(round) {
+    let repeats = 0
+    round.forEach((group, table) => group.forEach(person => {
+      if (tableVisits[person][table]) repeats++
+    }))
+    return repeats
+  }
+
+  // Players of neighbouring ranks cost nothing: the top <size> players can
+  // share a table for free, and every place further apart than that costs
+  // standingsWeight. Players without a rank (no standings given) cost nothing.
+  function standingsCost(group) {
+    let groupCost = 0
+    forEachPair(group, (a, b) => {
+      if (standingsRank[a] === undefined || standingsRank[b] === undefined) return
+      const distance = Math.abs(standingsRank[a] - standingsRank[b])
+      groupCost += standingsWeight * Math.max(0, distance - (group.length - 1))
+    })
+    return groupCost
+  }
+
+  // The bench costs more the more byes its players already had.
   function score(round, weights) {
-    const groupScores = round.map(group => {
-      let groupCost = 0
-      forEachPair(group, (a, b) => groupCost += Math.pow(weights[a][b], 2))
-      return groupCost
+    const groupScores = round.map((group, i) => {
+      if (i === benchIndex) {
+        return group.reduce((cost, person) => cost + BYE_WEIGHT * Math.pow(byeCounts[person], 2), 0)
+      }
+      return pairCost(group, weights) + standingsCost(group)
     })
     return {
       groups: round,
@@ -52,6 +223,9 @@ function geneticSolver(
    *       [2, 10, 7],
    *     ]
    * 
+   * With byes, the players left over after filling every table form one last
+   * (bench) group.
+   * 
    * When withGroupLeaders is set, the first <num_groups> players are deterministically
    * assigned to their groups while the rest are shuffled, producing something more like this:
    * 
@@ -64,52 +238,65 @@ function geneticSolver(
    *     ]
    */
   function generatePermutation() {
-    const shuffleStart = withGroupLeaders ? groups : 0;
-    const shuffledPeople = _.shuffle(_.range(shuffleStart, groups * ofSize));
-    const shuffledPerGroup = shuffledPeople.length / groups;
-    return _.range(groups).map(i => {
+    const shuffledPeople = shuffle(random, activePlayers.slice(leaders.length).filter(person => !pinnedPlayers.includes(person)));
+    const permutation = tableSizes.map((size, i) => {
       const group = [];
       if (withGroupLeaders) {
-        group.push(i);
+        group.push(leaders[i]);
       }
-      group.push(...shuffledPeople.slice(i * shuffledPerGroup, (i+1) * shuffledPerGroup));
+      if (pinned[i]) {
+        group.push(...pinned[i]);
+      }
+      group.push(...shuffledPeople.splice(0, size - group.length));
       return group;
     });
+    if (benchIndex >= 0) {
+      permutation.push(shuffledPeople);
+    }
+    return permutation;
+  }
 
+  // Group leaders stay in the first seat of their table, and pinned players
+  // in the first seats of theirs
+  function isLockedSeat(groupIndex, seat) {
+    if (groupIndex === benchIndex) return false
+    if (withGroupLeaders && seat === 0) return true
+    return pinned[groupIndex] !== undefined && seat < pinned[groupIndex].length
   }
 
   function generateMutations(candidates, weights) {
     const mutations = []
     candidates.forEach(candidate => {
-      const scoredGroups = candidate.groups.map((g, i) => ({group: g, score: candidate.groupsScores[i]}))
-      const sortedScoredGroups = _.sortBy(scoredGroups, sg => sg.score).reverse()
-      const sorted = sortedScoredGroups.map(ssg => ssg.group)
-
       // Always push the original candidate back onto the list
       mutations.push(candidate)
 
-      // Add every mutation that swaps somebody out of the most expensive group
-      // (The first group is the most expensive now that we've sorted them)
-      for (let i = 0; i < ofSize; i++) {
-        if (withGroupLeaders && i == 0) continue;
-        for (let j = ofSize; j < totalSize; j++) {
-          if (withGroupLeaders && j % ofSize == 0) continue;
-          mutations.push(score(swap(sorted, i, j), weights))
-        }
-      }
+      // Add every mutation that swaps somebody out of the most expensive group.
+      // Groups keep their position, since tables (and the bench) differ in size.
+      const worst = candidate.groupsScores.indexOf(Math.max(...candidate.groupsScores))
+      candidate.groups[worst].forEach((_person, i) => {
+        if (isLockedSeat(worst, i)) return;
+        candidate.groups.forEach((other, g) => {
+          if (g === worst) return;
+          other.forEach((_other, j) => {
+            if (isLockedSeat(g, j)) return;
+            mutations.push(score(swap(candidate.groups, [worst, i], [g, j]), weights))
+          })
+        })
+      })
 
       // Add some random mutations to the search space to help break out of local peaks
-      for (let i = 0; i < RANDOM_MUTATIONS; i++) {
+      for (let i = 0; i < randomMutations; i++) {
         mutations.push(score(generatePermutation(), weights))
       }
     })
     return mutations;
   }
 
-  function swap(groups, i, j) {
+  // Swap the people at two [group, seat] positions
+  function swap(groups, [gi, si], [gj, sj]) {
     const copy = groups.map(group => group.slice())
-    copy[Math.floor(i / ofSize)][i % ofSize] = groups[Math.floor(j / ofSize)][j % ofSize]
-    copy[Math.floor(j / ofSize)][j % ofSize] = groups[Math.floor(i / ofSize)][i % ofSize]
+    copy[gi][si] = groups[gj][sj]
+    copy[gj][sj] = groups[gi][si]
     return copy
   }
 
@@ -121,16 +308,14 @@ function geneticSolver(
     }
   }
 
-  const weights = _.range(totalSize).map(() => _.range(totalSize).fill(0))
+  const weights = range(totalSize).map(() => range(totalSize).fill(0))
 
   // Fill some initial restrictions
   if (withGroupLeaders) {
     // Forbid every pairwise combination of group leaders
-    for (let i = 0; i < groups - 1; i++) {
-      for (let j = i + 1; j < groups; j++) {
-        weights[i][j] = weights[j][i] = Infinity;
-      }
-    }
+    forEachPair(leaders, (a, b) => {
+      weights[a][b] = weights[b][a] = Infinity;
+    })
   }
 
   forbiddenPairs.forEach(group => {
@@ -149,41 +334,149 @@ function geneticSolver(
 
   const rounds = []
   const roundScores = []
+  const seatScores = []
+  const tableRepeats = []
+  const byes = []
 
-  for (let round = 0; round < forRounds; round++) {
-    let topOptions = _.range(5).map(() => score(generatePermutation(), weights))
+  // Rounds that were already played stay as they are, and count towards the
+  // weights and bye rotation of the rounds still to be solved
+  const fixedRounds = options.fixedRounds || []
+  fixedRounds.forEach((fixedRound, i) => {
+    const fixedByes = (options.fixedByes && options.fixedByes[i]) || []
+    rounds.push(fixedRound)
+    roundScores.push(fixedRound.reduce((sum, group) => sum + pairCost(group, weights), 0))
+    seatScores.push(fixedRound.reduce((sum, group) => sum + seatCost(group), 0))
+    tableRepeats.push(countTableRepeats(fixedRound))
+    updateWindCounts(fixedRound)
+    updateTableVisits(fixedRound)
+    byes.push(fixedByes)
+    fixedByes.forEach(person => byeCounts[person]++)
+    updateWeights(fixedRound, weights)
+  })
+  if (rounds.length >= forRounds) {
+    onProgress({ rounds, roundScores, seatScores, tableRepeats, byes, weights, done: true })
+    return
+  }
+
+  let random = Math.random
+  for (let round = rounds.length; round < forRounds; round++) {
+    if (options.seed !== undefined && options.seed !== null) {
+      random = seededRandom(`${options.seed}/${round}`)
+    }
+    const planned = (options.plannedRounds || [])[round - fixedRounds.length]
+    let topOptions = planned
+      ? [score(planned, weights)]
+      : range(5).map(() => score(generatePermutation(), weights))
     let generation = 0
-    while (generation < GENERATIONS && topOptions[0].total > 0) {
+    while (!planned && generation < generations && topOptions[0].total > 0) {
       const candidates = generateMutations(topOptions, weights)
-      let sorted = _.sortBy(candidates, c => c.total)
+      let sorted = sortBy(candidates, c => c.total)
       const bestScore = sorted[0].total
       // Reduce to all the options that share the best score
       topOptions = sorted.slice(0, sorted.findIndex(opt => opt.total > bestScore))
       // Shuffle those options and only explore some maximum number of them
-      topOptions = _.shuffle(topOptions).slice(0, MAX_DESCENDANTS_TO_EXPLORE)
+      topOptions = shuffle(random, topOptions).slice(0, maxDescendants)
       generation++;
+      if (options.onGeneration) {
+        options.onGeneration({ stage: 'round', round, forRounds, generation, generations, bestScore })
+      }
     }
     const bestOption  = topOptions[0]
+    let tables = bestOption.groups.slice(0, tableSizes.length)
+    const bench = benchIndex >= 0 ? bestOption.groups[benchIndex].slice().sort((a, b) => a - b) : []
     // For tidiness when using group leaders reorder results to keep leaders in order
     if (withGroupLeaders) {
-      bestOption.groups.sort((a, b) => a[0] - b[0]);
+      tables.sort((a, b) => a[0] - b[0]);
     }
+    tables = assignTables(tables.map(balanceSeats))
 
-	  rounds.push(bestOption.groups)
+	  rounds.push(tables)
 	  console.log("Round", round + 1, "groups:", JSON.stringify(rounds[round], null, 2));
 
-    roundScores.push(bestOption.total)
-    updateWeights(bestOption.groups, weights)
+    // The conflict score only counts repeat pairings, not the bye rotation
+    // or standings distance
+    roundScores.push(tables.reduce((sum, group) => sum + pairCost(group, weights), 0))
+    seatScores.push(tables.reduce((sum, group) => sum + seatCost(group), 0))
+    tableRepeats.push(countTableRepeats(tables))
+    updateWindCounts(tables)
+    updateTableVisits(tables)
+    byes.push(bench)
+    bench.forEach(person => byeCounts[person]++)
+    updateWeights(tables, weights)
 
     onProgress({
       rounds,
       roundScores,
+      seatScores,
+      tableRepeats,
+      byes,
       weights,
       done: (round+1) >= forRounds,
     })
   }
 }
 
+// Players pinned to a table by options.tableRules, by table index: the next
+// <top> players in the standings for each rule in turn
+function tablePins(tableSizes, withGroupLeaders, options) {
+  const pinned = {}
+  if (options.standings && !withGroupLeaders) {
+    const rules = options.tableRules || []
+    let nextRank = 0
+    rules.forEach(rule => {
+      if (!(rule.top > 0) || !(rule.table < tableSizes.length) || pinned[rule.table]) return
+      const count = Math.min(rule.top, tableSizes[rule.table])
+      pinned[rule.table] = options.standings.slice(nextRank, nextRank + count)
+      nextRank += count
+    })
+  }
+  return pinned
+}
+
+// [0, 1, ..., n - 1]
+function range(n) {
+  return Array.from({ length: n }, (_, i) => i)
+}
+
+// A shuffled copy of the array (Fisher-Yates), drawing from the given
+// random number generator
+function shuffle(random, array) {
+  const result = array.slice()
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swapped = result[i]
+    result[i] = result[j]
+    result[j] = swapped
+  }
+  return result
+}
+
+// A random number generator for [0, 1) that always produces the same sequence
+// for the same seed string: the seed is hashed with xmur3 into the state of a
+// mulberry32 generator.
+function seededRandom(seed) {
+  let hash = 1779033703 ^ seed.length
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353)
+    hash = hash << 13 | hash >>> 19
+  }
+  hash = Math.imul(hash ^ hash >>> 16, 2246822507)
+  hash = Math.imul(hash ^ hash >>> 13, 3266489909)
+  let state = (hash ^ hash >>> 16) >>> 0
+
+  return function() {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ state >>> 15, 1 | state)
+    t = (t + Math.imul(t ^ t >>> 7, 61 | t)) ^ t
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+}
+
+// A copy of the array sorted by the given key, keeping ties in their original order
+function sortBy(array, key) {
+  return array.slice().sort((a, b) => key(a) - key(b))
+}
+
 function forEachPair(array, callback) {
   for (let i = 0; i < array.length - 1; i++) {
     for (let j = i + 1; j < array.length; j++) {
@@ -191,3 +484,18 @@ function forEachPair(array, callback) {
     }
   }
 }
+
+// Every ordering of the array's items
+function permutations(array) {
+  if (array.length <= 1) return [array.slice()]
+  const result = []
+  array.forEach((item, i) => {
+    const rest = [...array.slice(0, i), ...array.slice(i + 1)]
+    permutations(rest).forEach(order => result.push([item, ...order]))
+  })
+  return result
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { geneticSolver, tablePins, range, shuffle, seededRandom }
+}
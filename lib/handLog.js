@@ -0,0 +1,244 @@
+// Hand-by-hand score logging: the points each hand moves between the players
+// at a table, and the final table scores they add up to.
+//
+// Like lib/scoring.js this is loaded both by the browser (as a plain script)
+// and by server.js, so the scores a scorekeeper sees are the ones the server
+// stores in textFieldRefs.
+
+const HAND_RESULTS = ['ron', 'tsumo', 'draw']
+// Basic points of the limit hands, by the least han that reaches them
+const LIMITS = [
+  { han: 13, basic: 8000, name: 'yakuman' },
+  { han: 11, basic: 6000, name: 'sanbaiman' },
+  { han: 8, basic: 4000, name: 'baiman' },
+  { han: 6, basic: 3000, name: 'haneman' },
+  { han: 5, basic: 2000, name: 'mangan' },
+]
+// What the players who were not tenpai pay out between them after an
+// exhaustive draw
+const NOTEN_PAYMENT = 3000
+
+function roundUpToHundred(points) {
+  return Math.ceil(points / 100) * 100
+}
+
+// Fu are rounded up to the next 10, except chiitoitsu's flat 25
+function roundFu(fu) {
+  return fu === 25 ? 25 : Math.ceil(fu / 10) * 10
+}
+
+/**
+ * What a winning hand is worth, with standard riichi rounding and limits.
+ * Hands of 13 han or more count as a (counted) yakuman.
+ *
+ * @param {number} han
+ * @param {number} fu rounded up to the next 10 (but 25 stays); ignored from
+ *        mangan up
+ * @param {boolean} dealer whether the winner is the dealer
+ * @returns {{ron: number, tsumo: {dealer: number, nonDealer: number},
+ *            limit: string|null}} ron is what the discarder pays; on a tsumo
+ *          the dealer pays tsumo.dealer and everybody else tsumo.nonDealer
+ *          (for a dealer's tsumo both are the same)
+ */
+function handPoints(han, fu, dealer) {
+  let basic = roundFu(fu) * Math.pow(2, han + 2)
+  let limit = LIMITS.find(entry => han >= entry.han) || null
+  if (!limit && basic > 2000) limit = LIMITS[LIMITS.length - 1]
+  if (limit) basic = limit.basic
+
+  const nonDealerShare = dealer ? 2 * basic : basic
+  return {
+    ron: roundUpToHundred(basic * (dealer ? 6 : 4)),
+    tsumo: { dealer: roundUpToHundred(2 * basic), nonDealer: roundUpToHundred(nonDealerShare) },
+    limit: limit ? limit.name : null,
+  }
+}
+
+// The tsumo payments for a hand entered by its ron value instead of han and
+// fu. Rounding the value back down recovers the payments of every han and fu
+// combination, since they were rounded up from the same basic points.
+function pointsFromValue(value, dealer) {
+  if (dealer) {
+    const share = roundUpToHundred(value / 3)
+    return { ron: value, tsumo: { dealer: share, nonDealer: share }, limit: null }
+  }
+  return {
+    ron: value,
+    tsumo: { dealer: roundUpToHundred(value / 2), nonDealer: roundUpToHundred(value / 4) },
+    limit: null,
+  }
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0
+}
+
+/**
+ * Check a hand from the client and keep only the fields its result uses.
+ *
+ * A hand is {result, dealer, winner, loser, han, fu, points, riichi, honba,
+ * tenpai}: the result is 'ron', 'tsumo' or 'draw'; dealer, winner and loser
+ * are players at the table; fu are rounded up like handPoints does, and a
+ * ron needs more than 20; points is the hand's ron value, used when han
+ * isn't given; riichi lists the players who declared riichi this hand and
+ * tenpai the players who were ready at a draw.
+ *
+ * @param {object} raw
+ * @param {number[]} players the players at the table, in seat order
+ * @returns {object|null} the hand, or null if it doesn't make sense
+ */
+function normalizeHand(raw, players) {
+  if (!raw || !HAND_RESULTS.includes(raw.result) || !players.includes(raw.dealer)) return null
+  const atTable = list => Array.isArray(list) && list.every(person => players.includes(person))
+  if (!atTable(raw.riichi || []) || !isCount(raw.honba || 0)) return null
+
+  const hand = {
+    result: raw.result,
+    dealer: raw.dealer,
+    riichi: [...new Set(raw.riichi || [])].sort((a, b) => a - b),
+    honba: raw.honba || 0,
+  }
+  if (raw.result === 'draw') {
+    if (!atTable(raw.tenpai || [])) return null
+    hand.tenpai = [...new Set(raw.tenpai || [])].sort((a, b) => a - b)
+    return hand
+  }
+
+  if (!players.includes(raw.winner)) return null
+  hand.winner = raw.winner
+  if (raw.result === 'ron') {
+    if (!players.includes(raw.loser) || raw.loser === raw.winner) return null
+    hand.loser = raw.loser
+  }
+  if (Number.isInteger(raw.han) && raw.han > 0) {
+    hand.han = raw.han
+    if (raw.han < 5) {
+      if (!(Number.isInteger(raw.fu) && raw.fu >= 20)) return null
+      hand.fu = roundFu(raw.fu)
+      if (raw.result === 'ron' && hand.fu === 20) return null
+    }
+  } else if (Number.isInteger(raw.points) && raw.points > 0 && raw.points % 100 === 0) {
+    hand.points = raw.points
+  } else {
+    return null
+  }
+  return hand
+}
+
+/**
+ * The points one hand moves between the players, including honba and the
+ * riichi sticks on the table.
+ *
+ * Honba add 300 to a ron and 100 from each payer on a tsumo. At a
+ * three-player table a tsumo is simply paid by the two other players. The
+ * winner also collects every riichi stick on the table; after a draw the
+ * sticks stay for the next hand.
+ *
+ * @param {object} hand as returned by normalizeHand
+ * @param {number[]} players the players at the table
+ * @param {number} pot riichi sticks on the table before the hand
+ * @returns {{deltas: object, pot: number, value: object|null}} deltas is keyed
+ *          by player; pot is the sticks left on the table afterwards; value is
+ *          what the hand was worth (see handPoints), or null for a draw
+ */
+function handTransfers(hand, players, pot = 0) {
+  const deltas = {}
+  players.forEach(person => { deltas[person] = 0 })
+  const pay = (from, to, points) => {
+    deltas[from] -= points
+    deltas[to] += points
+  }
+
+  hand.riichi.forEach(person => { deltas[person] -= 1000 })
+  pot += hand.riichi.length
+
+  if (hand.result === 'draw') {
+    const tenpai = hand.tenpai
+    const noten = players.filter(person => !tenpai.includes(person))
+    if (tenpai.length > 0 && noten.length > 0) {
+      tenpai.forEach(person => { deltas[person] += NOTEN_PAYMENT / tenpai.length })
+      noten.forEach(person => { deltas[person] -= NOTEN_PAYMENT / noten.length })
+    }
+    return { deltas, pot, value: null }
+  }
+
+  const dealerWon = hand.winner === hand.dealer
+  const value = hand.han !== undefined
+    ? handPoints(hand.han, hand.fu, dealerWon)
+    : pointsFromValue(hand.points, dealerWon)
+  if (hand.result === 'ron') {
+    pay(hand.loser, hand.winner, value.ron + 300 * hand.honba)
+  } else {
+    players.forEach(person => {
+      if (person === hand.winner) return
+      const share = person === hand.dealer ? value.tsumo.dealer : value.tsumo.nonDealer
+      pay(person, hand.winner, share + 100 * hand.honba)
+    })
+  }
+  deltas[hand.winner] += pot * 1000
+  return { deltas, pot: 0, value }
+}
+
+/**
+ * Play a table's hands through from the starting points.
+ *
+ * @param {object[]} hands as returned by normalizeHand, in the order played
+ * @param {number[]} players the players at the table
+ * @param {number} startingPoints what each player starts with
+ * @returns {{scores: object, riichiSticks: number, hands: object[]}} the final
+ *          score of each player, the riichi sticks left on the table, and each
+ *          hand's transfers with the scores after it
+ */
+function playHands(hands, players, startingPoints) {
+  const scores = {}
+  players.forEach(person => { scores[person] = startingPoints })
+  let pot = 0
+  const played = hands.map(hand => {
+    const transfer = handTransfers(hand, players, pot)
+    pot = transfer.pot
+    players.forEach(person => { scores[person] += transfer.deltas[person] })
+    return { ...transfer, scores: { ...scores } }
+  })
+  return { scores, riichiSticks: pot, hands: played }
+}
+
+/**
+ * The score fields a table's hand log fills in: every player's final score,
+ * keyed `round-R-table-T-person-P`, and the riichi sticks left on the table,
+ * keyed `round-R-table-T-riichi`.
+ */
+function handLogFields(round, table, hands, players, startingPoints) {
+  const { scores, riichiSticks } = playHands(hands, players, startingPoints)
+  const fields = {}
+  players.forEach(person => {
+    fields[`round-${round}-table-${table}-person-${person}`] = scores[person]
+  })
+  fields[`round-${round}-table-${table}-riichi`] = riichiSticks
+  return fields
+}
+
+/**
+ * Suggested dealer and honba for the hand after the logged ones. The dealer
+ * keeps the seat after winning or being tenpai at a draw, which also adds a
+ * honba; otherwise the deal passes to the next seat and the honba reset.
+ */
+function nextHandDefaults(hands, players) {
+  if (hands.length === 0) return { dealer: players[0], honba: 0 }
+  const last = hands[hands.length - 1]
+  const repeat = last.result === 'draw' ? last.tenpai.includes(last.dealer) : last.winner === last.dealer
+  if (repeat) return { dealer: last.dealer, honba: last.honba + 1 }
+  const next = players[(players.indexOf(last.dealer) + 1) % players.length]
+  return { dealer: next, honba: last.result === 'draw' ? last.honba + 1 : 0 }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HAND_RESULTS,
+    handPoints,
+    normalizeHand,
+    handTransfers,
+    playHands,
+    handLogFields,
+    nextHandDefaults,
+  }
+}
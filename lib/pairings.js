@@ -0,0 +1,109 @@
+// Who met whom in the seated rounds: the tournament page's pairings panel,
+// and the server's scores for rounds changed by hand.
+//
+// Loaded by the tournament page as a plain script, and by server.js through
+// module.exports.
+
+/**
+ * Count how often every two players shared a table.
+ *
+ * The solver's weights hold these counts too, but they start from the
+ * forbidden and discouraged pair constraints, and cancelled seating leaves
+ * none at all, so the counts come from the rounds themselves.
+ *
+ * @param {number[][][]} rounds the tables of player indices in each round
+ * @param {number} numPlayers how many players there are
+ * @returns {{counts: number[][], repeats: {players: number[], rounds: number[]}[]}}
+ *          counts[a][b] is how many times players a and b met. repeats has
+ *          every pair who met more than once, with the (0-based) rounds they
+ *          met in, most frequent first.
+ */
+function pairingHistory(rounds, numPlayers) {
+  const counts = Array.from({ length: numPlayers }, () => new Array(numPlayers).fill(0))
+  const metIn = {}
+  rounds.forEach((round, roundIndex) => round.forEach(table => {
+    for (let i = 0; i < table.length; i++) {
+      for (let j = i + 1; j < table.length; j++) {
+        const a = Math.min(table[i], table[j])
+        const b = Math.max(table[i], table[j])
+        counts[a][b]++
+        counts[b][a]++
+        const key = `${a},${b}`
+        metIn[key] = (metIn[key] || []).concat(roundIndex)
+      }
+    }
+  }))
+
+  const repeats = Object.keys(metIn)
+    .filter(key => metIn[key].length > 1)
+    .map(key => ({ players: key.split(',').map(Number), rounds: metIn[key] }))
+    .sort((x, y) => y.rounds.length - x.rounds.length || x.rounds[0] - y.rounds[0])
+  return { counts, repeats }
+}
+
+/**
+ * Score a schedule the way geneticSolver scores the rounds it seats, for
+ * rounds that were changed by hand.
+ *
+ * Conflict scores use geneticSolver's pairCost: every pair at a table costs
+ * the square of its weight, where the weight starts at Infinity for forbidden
+ * pairs and 1 for discouraged ones and goes up by one each time they meet.
+ * Seat scores and table repeats follow its seatCost and countTableRepeats.
+ *
+ * @param {number[][][]} rounds the tables of player indices in each round, in
+ *        seat order
+ * @param {number} numPlayers how many players there are
+ * @param {object} constraints the tournament's forbiddenPairs and
+ *        discouragedGroups, as lists of player index lists
+ * @returns {{roundScores: number[], seatScores: number[], tableRepeats: number[],
+ *          weights: number[][]}} weights are the pair weights after the last round
+ */
+function scheduleScores(rounds, numPlayers, { forbiddenPairs = [], discouragedGroups = [] } = {}) {
+  const weights = Array.from({ length: numPlayers }, () => new Array(numPlayers).fill(0))
+  const windCounts = Array.from({ length: numPlayers }, () => [0, 0, 0, 0])
+  const tableVisits = Array.from({ length: numPlayers }, () => ({}))
+  const eachPair = (group, callback) => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) callback(group[i], group[j])
+    }
+  }
+  forbiddenPairs.forEach(group => eachPair(group, (a, b) => {
+    if (a < numPlayers && b < numPlayers) weights[a][b] = weights[b][a] = Infinity
+  }))
+  discouragedGroups.forEach(group => eachPair(group, (a, b) => {
+    if (a < numPlayers && b < numPlayers) weights[a][b] = weights[b][a] = weights[a][b] + 1
+  }))
+
+  const roundScores = []
+  const seatScores = []
+  const tableRepeats = []
+  rounds.forEach(round => {
+    let conflicts = 0
+    let seats = 0
+    let repeats = 0
+    round.forEach((table, tableIndex) => {
+      eachPair(table, (a, b) => { conflicts += Math.pow(weights[a][b], 2) })
+      table.forEach((person, seat) => {
+        const leastUsed = Math.min(...windCounts[person].slice(0, table.length))
+        seats += Math.pow(windCounts[person][seat] - leastUsed, 2)
+        if (tableVisits[person][tableIndex]) repeats++
+      })
+    })
+    roundScores.push(conflicts)
+    seatScores.push(seats)
+    tableRepeats.push(repeats)
+
+    round.forEach((table, tableIndex) => {
+      eachPair(table, (a, b) => { weights[a][b] = weights[b][a] = weights[a][b] + 1 })
+      table.forEach((person, seat) => {
+        windCounts[person][seat]++
+        tableVisits[person][tableIndex] = (tableVisits[person][tableIndex] || 0) + 1
+      })
+    })
+  })
+  return { roundScores, seatScores, tableRepeats, weights }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { pairingHistory, scheduleScores }
+}
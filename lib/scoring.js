@@ -0,0 +1,620 @@
+// Tournament scoring: rule presets, uma, oka and chombo.
+//
+// This file is loaded both by the browser (as a plain script, so these
+// functions become globals next to tournament.js) and by server.js (through
+// module.exports at the bottom). It must stay free of DOM access so both
+// sides always compute identical standings.
+
+const NEGATIVE_DEFAULT = -1000000
+
+/**
+ * Named rule sets. Each one fills in every scoring field at once:
+ *
+ * - startingPoints: points each player starts the game with
+ * - returnPoints: points each player is measured against at the end; the
+ *   difference from startingPoints, collected from every seat, is the oka
+ *   bonus paid to first place
+ * - uma: placement bonus for 1st..4th, in final-score points
+ * - chomboStyle: 'fixed' deducts chomboValue per chombo, 'uma' deducts the
+ *   spread between first and last uma per chombo (as if the offender had
+ *   finished last instead of first)
+ * - tiePolicy: 'split' shares the uma and oka of tied places, 'seat' gives
+ *   the higher place to whoever sat closest to the starting East seat
+ * - sanma: starting points, return points and 3-place uma used instead of
+ *   the above at three-player tables
+ *
+ * Presets leave out byeScore, the final-score points for sitting out a
+ * round, since that depends on the event rather than the rule set.
+ */
+const RULE_PRESETS = {
+  house: {
+    label: 'House (default)',
+    startingPoints: 25000,
+    returnPoints: 30000,
+    uma: [15, 5, -5, -15],
+    chomboValue: -10,
+    chomboStyle: 'fixed',
+    tiePolicy: 'split',
+    sanma: { startingPoints: 35000, returnPoints: 40000, uma: [15, 0, -15] },
+  },
+  wrc: {
+    label: 'WRC',
+    startingPoints: 30000,
+    returnPoints: 30000,
+    uma: [15, 5, -5, -15],
+    chomboValue: -20,
+    chomboStyle: 'fixed',
+    tiePolicy: 'split',
+    sanma: { startingPoints: 35000, returnPoints: 35000, uma: [15, 0, -15] },
+  },
+  ema: {
+    label: 'EMA Riichi',
+    startingPoints: 30000,
+    returnPoints: 30000,
+    uma: [15, 5, -5, -15],
+    chomboValue: -20,
+    chomboStyle: 'fixed',
+    tiePolicy: 'split',
+    sanma: { startingPoints: 35000, returnPoints: 35000, uma: [15, 0, -15] },
+  },
+  mleague: {
+    label: 'M-League',
+    startingPoints: 25000,
+    returnPoints: 30000,
+    uma: [30, 10, -10, -30],
+    chomboValue: -20,
+    chomboStyle: 'fixed',
+    tiePolicy: 'seat',
+    sanma: { startingPoints: 35000, returnPoints: 40000, uma: [20, 0, -20] },
+  },
+  tenhou: {
+    label: 'Tenhou',
+    startingPoints: 25000,
+    returnPoints: 30000,
+    uma: [20, 10, -10, -20],
+    chomboValue: 0,
+    chomboStyle: 'fixed',
+    tiePolicy: 'seat',
+    sanma: { startingPoints: 35000, returnPoints: 40000, uma: [20, 0, -20] },
+  },
+}
+
+const DEFAULT_RULES = RULE_PRESETS.house
+
+function toInt(value, fallback) {
+  const parsed = parseInt(value)
+  return isNaN(parsed) ? fallback : parsed
+}
+
+function oneOf(value, allowed, fallback) {
+  return allowed.includes(value) ? value : fallback
+}
+
+/**
+ * Build a complete rules object from loosely-typed values, such as the
+ * strings in the rule input fields or the values stored on the server.
+ * Missing or unparseable values fall back to DEFAULT_RULES.
+ *
+ * Tournaments saved before return points existed only have an `oka` per
+ * person; their return points are startingPoints + oka.
+ *
+ * @param {object} raw with any of startingPoints, returnPoints, oka,
+ *        uma1..uma4, chomboValue, chomboStyle, tiePolicy,
+ *        sanmaStartingPoints, sanmaReturnPoints, sanmaUma1..sanmaUma3, byeScore
+ * @returns {{startingPoints: number, returnPoints: number, uma: number[],
+ *            chomboValue: number, chomboStyle: string, tiePolicy: string,
+ *            sanma: {startingPoints: number, returnPoints: number, uma: number[]},
+ *            byeScore: number}}
+ */
+function normalizeRules(raw = {}) {
+  const startingPoints = toInt(raw.startingPoints, DEFAULT_RULES.startingPoints)
+  const legacyReturnPoints = raw.oka !== undefined && raw.oka !== null
+    ? startingPoints + toInt(raw.oka, 0)
+    : DEFAULT_RULES.returnPoints
+  return {
+    startingPoints,
+    returnPoints: toInt(raw.returnPoints, legacyReturnPoints),
+    uma: [raw.uma1, raw.uma2, raw.uma3, raw.uma4].map((value, i) => toInt(value, DEFAULT_RULES.uma[i])),
+    chomboValue: toInt(raw.chomboValue, DEFAULT_RULES.chomboValue),
+    chomboStyle: oneOf(raw.chomboStyle, ['fixed', 'uma'], DEFAULT_RULES.chomboStyle),
+    tiePolicy: oneOf(raw.tiePolicy, ['split', 'seat'], DEFAULT_RULES.tiePolicy),
+    sanma: {
+      startingPoints: toInt(raw.sanmaStartingPoints, DEFAULT_RULES.sanma.startingPoints),
+      returnPoints: toInt(raw.sanmaReturnPoints, DEFAULT_RULES.sanma.returnPoints),
+      uma: [raw.sanmaUma1, raw.sanmaUma2, raw.sanmaUma3].map((value, i) => toInt(value, DEFAULT_RULES.sanma.uma[i])),
+    },
+    byeScore: toInt(raw.byeScore, 0),
+  }
+}
+
+/**
+ * The starting points, return points and uma that apply to a table of the
+ * given size: the sanma set for three players, the regular set otherwise.
+ */
+function rulesForTable(rules, tableSize) {
+  if (tableSize === 3) return rules.sanma
+  return { startingPoints: rules.startingPoints, returnPoints: rules.returnPoints, uma: rules.uma }
+}
+
+/**
+ * The flat field values (as stored on the server and shown in the rule
+ * inputs) for a preset or any other complete rules object.
+ */
+function rulesToFields(rules) {
+  return {
+    startingPoints: rules.startingPoints,
+    returnPoints: rules.returnPoints,
+    uma1: rules.uma[0],
+    uma2: rules.uma[1],
+    uma3: rules.uma[2],
+    uma4: rules.uma[3],
+    chomboValue: rules.chomboValue,
+    chomboStyle: rules.chomboStyle,
+    tiePolicy: rules.tiePolicy,
+    sanmaStartingPoints: rules.sanma.startingPoints,
+    sanmaReturnPoints: rules.sanma.returnPoints,
+    sanmaUma1: rules.sanma.uma[0],
+    sanmaUma2: rules.sanma.uma[1],
+    sanmaUma3: rules.sanma.uma[2],
+    byeScore: rules.byeScore,
+  }
+}
+
+// What one chombo costs in final-score points. The 'uma' style uses the
+// sanma uma when every table in the tournament has three players.
+function chomboPenalty(rules, rounds = []) {
+  if (rules.chomboStyle === 'uma') {
+    const groups = [].concat(...rounds)
+    const allSanma = groups.length > 0 && groups.every(group => group.length === 3)
+    const uma = allSanma ? rules.sanma.uma : rules.uma
+    return -(uma[0] - uma[uma.length - 1])
+  }
+  return rules.chomboValue
+}
+
+/**
+ * Compute every player's total from the raw table scores.
+ *
+ * @param {object} textFieldRefs raw scores keyed by `round-R-table-T-person-P`
+ * @param {object} chomboRefs chombo counts keyed by `person-P`
+ * @param {object} rules as returned by normalizeRules
+ * @param {number[][][]} [rounds] seating returned by the solver; the order
+ *        within each table is the seat order used by the 'seat' tie policy
+ * @param {number[][]} [byes] players sitting out each round, who get
+ *        rules.byeScore once any score for that round has been entered
+ * @returns {object} totals keyed by `person-P`
+ */
+function calculateStandings(textFieldRefs, chomboRefs, rules, rounds = [], byes = []) {
+  const finalScores = {}
+  const nestedRefs = transformToNested(textFieldRefs)
+  processNestedScores(nestedRefs, rules, finalScores, rounds)
+
+  byes.forEach((round, r) => {
+    if (!roundHasScores(textFieldRefs, r)) return
+    round.forEach(person => {
+      finalScores[`person-${person}`] = (finalScores[`person-${person}`] || 0) + rules.byeScore
+    })
+  })
+
+  // Apply chombo penalties after all rounds are processed
+  const penalty = chomboPenalty(rules, rounds)
+  for (const person in finalScores) {
+    const chomboCount = chomboRefs[person] || 0
+    if (chomboCount > 0) {
+      finalScores[person] += penalty * chomboCount
+    }
+  }
+  return finalScores
+}
+
+// Whether any player's score has been entered for the given round
+function roundHasScores(textFieldRefs, round) {
+  const prefix = `round-${round}-table-`
+  return Object.keys(textFieldRefs).some(key => key.startsWith(prefix) && key.includes('-person-'))
+}
+
+/**
+ * Check each table's raw scores against the points it started with.
+ *
+ * A table balances when its scores plus any riichi sticks left on the table
+ * (entered as `round-R-table-T-riichi`) add up to the starting points for
+ * every player seated there (the sanma starting points at three-player
+ * tables). Tables with a missing score are incomplete rather
+ * than unbalanced.
+ *
+ * @param {number[][][]} rounds seating returned by the solver
+ * @param {object} textFieldRefs raw scores and riichi sticks
+ * @param {object} rules as returned by normalizeRules
+ * @returns {{tables: object, unbalancedCount: number}} tables is keyed by
+ *          `round-R-table-T`; unbalancedCount counts tables that are
+ *          incomplete or don't balance, so standings are final only when it is 0
+ */
+function validateTables(rounds, textFieldRefs, rules) {
+  const tables = {}
+  let unbalancedCount = 0
+
+  rounds.forEach((round, r) => {
+    round.forEach((group, t) => {
+      const scores = group.map(person => textFieldRefs[`round-${r}-table-${t}-person-${person}`])
+      const complete = scores.every(score => typeof score === 'number' && !isNaN(score))
+      const sum = scores.reduce((total, score) => total + (complete ? score : 0), 0)
+      const riichiSticks = toInt(textFieldRefs[`round-${r}-table-${t}-riichi`], 0)
+      const expected = rulesForTable(rules, group.length).startingPoints * group.length
+      const balanced = complete && sum + riichiSticks * 1000 === expected
+
+      tables[`round-${r}-table-${t}`] = { complete, balanced, sum, riichiSticks, expected }
+      if (!balanced) unbalancedCount++
+    })
+  })
+
+  return { tables, unbalancedCount }
+}
+
+// Process the nested dictionary of rounds, tables, and people
+function processNestedScores(nestedDict, rules, finalScores, rounds = []) {
+  for (const round in nestedDict) {
+    const tables = nestedDict[round]
+    for (const table in tables) {
+      const r = parseInt(round.replace('round-', ''))
+      const t = parseInt(table.replace('table-', ''))
+      const seatOrder = (rounds[r] && rounds[r][t]) || []
+      processTableScores(tables[table], rules, finalScores, seatOrder)
+    }
+  }
+}
+
+// Process one table's scores and add each player's points to their total
+function processTableScores(peopleAtTable, rules, finalScores, seatOrder = []) {
+  tableBreakdown(peopleAtTable, rules, seatOrder).forEach(({ person, points }) => {
+    finalScores[person] = (finalScores[person] || 0) + points
+  })
+}
+
+/**
+ * One table's result, itemized: each player's place and the uma and oka they
+ * get for it, and the final-score points that adds up to.
+ *
+ * @param {object} peopleAtTable raw scores keyed by `person-P`; people who
+ *        didn't sit at the table hold NEGATIVE_DEFAULT
+ * @param {object} rules as returned by normalizeRules
+ * @param {number[]} [seatOrder] the players in seat order, East first
+ * @returns {{person: string, score: number, place: number, uma: number,
+ *            oka: number, points: number}[]} best first; tied players share
+ *          a place under the 'split' tie policy
+ */
+function tableBreakdown(peopleAtTable, rules, seatOrder = []) {
+  const seatOf = person => seatOrder.indexOf(parseInt(person.replace('person-', '')))
+  const participants = Object.entries(peopleAtTable)
+    .filter(([person, score]) => score !== NEGATIVE_DEFAULT) // Filter out non-competing people
+    .sort((a, b) => b[1] - a[1] || seatOf(a[0]) - seatOf(b[0])) // By score, then seat
+
+  // First place collects the oka: the gap between return and starting
+  // points from every seat at the table. Three-player tables use the sanma
+  // points and 3-place uma.
+  const tableSize = seatOrder.length || participants.length
+  const tableRules = rulesForTable(rules, tableSize)
+  const okaBonus = (tableRules.returnPoints - tableRules.startingPoints) * tableSize / 1000
+  const shares = placementShares(participants.map(([, score]) => score), tableRules.uma, okaBonus, rules.tiePolicy)
+
+  return participants.map(([person, score], rank) => ({
+    person,
+    score,
+    place: rules.tiePolicy === 'split' ? 1 + participants.filter(([, other]) => other > score).length : rank + 1,
+    uma: shares[rank].uma,
+    oka: shares[rank].oka,
+    points: ((score - tableRules.returnPoints) / 1000) + shares[rank].uma + shares[rank].oka,
+  }))
+}
+
+// The uma and oka for each place, given the scores from best to worst
+function placementShares(scores, uma, okaBonus, tiePolicy) {
+  const shares = scores.map((_, rank) => ({ uma: uma[rank], oka: rank === 0 ? okaBonus : 0 }))
+
+  // Under the 'split' policy tied players share the uma and oka of the
+  // places they occupy; under 'seat' the sort order already decided it
+  if (tiePolicy === 'split') {
+    for (let i = 0; i < scores.length; i++) {
+      const tiedIndices = [i]
+
+      while (i + 1 < scores.length && scores[i + 1] === scores[i]) {
+        tiedIndices.push(i + 1)
+        i++
+      }
+
+      if (tiedIndices.length > 1) {
+        const average = key => tiedIndices.reduce((sum, index) => sum + shares[index][key], 0) / tiedIndices.length
+        const shared = { uma: average('uma'), oka: average('oka') }
+        for (const index of tiedIndices) {
+          shares[index] = shared
+        }
+      }
+    }
+  }
+  return shares
+}
+
+/**
+ * Turn flat `round-R-table-T-person-P` keys into
+ * `{ 'round-R': { 'table-T': { 'person-P': score } } }`.
+ * Every person gets an entry at every table; the ones who did not sit there
+ * hold NEGATIVE_DEFAULT so they can be filtered out.
+ */
+function transformToNested(textFieldRefs) {
+  const nestedRefs = {}
+  let maxRound = 0, maxTable = 0, maxPerson = 0
+
+  // First, extract the highest indices
+  for (const key in textFieldRefs) {
+    const match = key.match(/round-(\d+)-table-(\d+)-person-(\d+)/)
+    if (match) {
+      maxRound = Math.max(maxRound, parseInt(match[1]))
+      maxTable = Math.max(maxTable, parseInt(match[2]))
+      maxPerson = Math.max(maxPerson, parseInt(match[3]))
+    }
+  }
+
+  // Create the nested structure based on the max indices
+  for (let r = 0; r <= maxRound; r++) {
+    nestedRefs[`round-${r}`] = {}
+    for (let t = 0; t <= maxTable; t++) {
+      nestedRefs[`round-${r}`][`table-${t}`] = {}
+      for (let p = 0; p <= maxPerson; p++) {
+        nestedRefs[`round-${r}`][`table-${t}`][`person-${p}`] = NEGATIVE_DEFAULT
+      }
+    }
+  }
+
+  // Move the data from flat to nested structure
+  for (const key in textFieldRefs) {
+    const match = key.match(/round-(\d+)-table-(\d+)-person-(\d+)/)
+    if (match) {
+      const [roundIndex, tableIndex, personIndex] = match.slice(1)
+      nestedRefs[`round-${roundIndex}`][`table-${tableIndex}`][`person-${personIndex}`] = textFieldRefs[key]
+    }
+  }
+  return nestedRefs
+}
+
+/**
+ * Tiebreakers for players level on total points, by key. Each value() is
+ * worked out from a player's games (see gameRecords); a higher value ranks
+ * higher. Head-to-head only counts games against the other players in the tie.
+ */
+const TIEBREAKERS = {
+  headToHead: {
+    label: 'Head-to-head',
+    value: (games, player, tied) => games.reduce((total, game) => total + game.players
+      .filter(other => other !== player && tied.includes(other))
+      .reduce((sum, other) => sum + Math.sign(game.places[other] - game.places[player]), 0), 0),
+  },
+  firsts: {
+    label: 'Most 1st places',
+    value: (games, player) => games.filter(game => game.places[player] === 1).length,
+  },
+  bestGame: {
+    label: 'Highest single game',
+    value: (games, player) => Math.max(...games.map(game => game.scores[player])),
+  },
+  fewestLasts: {
+    label: 'Fewest last places',
+    value: (games, player) => -games.filter(game => game.places[player] === game.players.length).length,
+  },
+  rawPoints: {
+    label: 'Most raw points',
+    value: (games, player) => games.reduce((total, game) => total + game.scores[player], 0),
+  },
+}
+const DEFAULT_TIEBREAKERS = ['headToHead', 'firsts', 'bestGame', 'fewestLasts', 'rawPoints']
+
+// The tiebreakers to use, in order, from a stored list; unknown keys are
+// dropped and tournaments that never set one get DEFAULT_TIEBREAKERS
+function normalizeTiebreakers(raw) {
+  if (!Array.isArray(raw)) return DEFAULT_TIEBREAKERS.slice()
+  return [...new Set(raw.filter(key => Object.prototype.hasOwnProperty.call(TIEBREAKERS, key)))]
+}
+
+/**
+ * Every finished game (a table where all the players have a score), listed
+ * under each player who played it.
+ *
+ * @param {object} textFieldRefs raw scores keyed by `round-R-table-T-person-P`
+ * @param {object} rules as returned by normalizeRules; equal scores share a
+ *        place under the 'split' tie policy and go by seat under 'seat'
+ * @param {number[][][]} rounds seating returned by the solver
+ * @returns {object} keyed by player number, each a list of
+ *          {round, table, players, scores, places}, where scores and places
+ *          are keyed by player and places start at 1
+ */
+function gameRecords(textFieldRefs, rules, rounds = []) {
+  const records = {}
+  rounds.forEach((round, r) => {
+    round.forEach((group, t) => {
+      const scores = {}
+      group.forEach(person => { scores[person] = textFieldRefs[`round-${r}-table-${t}-person-${person}`] })
+      if (!group.every(person => typeof scores[person] === 'number' && !isNaN(scores[person]))) return
+
+      const order = group.slice().sort((a, b) => scores[b] - scores[a] || group.indexOf(a) - group.indexOf(b))
+      const places = {}
+      order.forEach((person, index) => {
+        places[person] = rules.tiePolicy === 'split'
+          ? 1 + group.filter(other => scores[other] > scores[person]).length
+          : index + 1
+      })
+      const game = { round: r, table: t, players: group, scores, places }
+      group.forEach(person => { (records[person] = records[person] || []).push(game) })
+    })
+  })
+  return records
+}
+
+/**
+ * Order the standings, breaking ties on total points (to the hundredth shown
+ * on the scoreboard) with the tiebreakers in turn. Each tiebreaker only
+ * decides between the players it tells apart; the ones it doesn't go on to
+ * the next. Players nobody can separate share a place.
+ *
+ * @param {object} finalScores totals keyed by `person-P`
+ * @param {object} records as returned by gameRecords
+ * @param {string[]} tiebreakers keys of TIEBREAKERS, in order
+ * @returns {{person: string, score: number, place: number, decidedBy: string|null}[]}
+ *          best first; decidedBy is the tiebreaker that settled the player's
+ *          place, or null if the total did (or nothing could)
+ */
+function rankStandings(finalScores, records, tiebreakers = DEFAULT_TIEBREAKERS) {
+  const entries = Object.entries(finalScores)
+    .map(([person, score]) => ({ person, score, player: parseInt(person.replace('person-', '')), decidedBy: null }))
+    .sort((a, b) => b.score - a.score)
+
+  const tiers = []
+  entries.forEach((entry, i) => {
+    const level = i > 0 && Math.round(entry.score * 100) === Math.round(entries[i - 1].score * 100)
+    if (level) {
+      tiers[tiers.length - 1].push(entry)
+    } else {
+      tiers.push([entry])
+    }
+  })
+
+  const ranked = []
+  const brokenTiers = [].concat(...tiers.map(tier => breakTie(tier, tiebreakers, records)))
+  brokenTiers.forEach(tier => {
+    const place = ranked.length + 1
+    tier.forEach(({ person, score, decidedBy }) => ranked.push({ person, score, place, decidedBy }))
+  })
+  return ranked
+}
+
+// Split players level on points into the tiers the tiebreakers put them in
+function breakTie(tied, tiebreakers, records) {
+  if (tied.length < 2) return [tied]
+  const players = tied.map(entry => entry.player)
+  for (let i = 0; i < tiebreakers.length; i++) {
+    const key = tiebreakers[i]
+    const values = tied.map(entry => TIEBREAKERS[key].value(records[entry.player] || [], entry.player, players))
+    const distinct = [...new Set(values)].sort((a, b) => b - a)
+    if (distinct.length < 2) continue
+
+    const remaining = tiebreakers.slice(i + 1)
+    const split = [].concat(...distinct.map(value =>
+      breakTie(tied.filter((_, j) => values[j] === value), remaining, records)))
+    // Only players this (or a later) tiebreaker left on their own were
+    // decided by one; the rest still share a place
+    split.forEach(tier => {
+      if (tier.length === 1 && tier[0].decidedBy === null) tier[0].decidedBy = key
+    })
+    return split
+  }
+  return [tied]
+}
+
+/**
+ * The standings after each round: everybody's running total and place. Only
+ * rounds up to the latest one with any scores are included. Chombos aren't
+ * recorded by round, so their penalties are taken off after that latest round.
+ *
+ * @param {object} textFieldRefs raw scores keyed by `round-R-table-T-person-P`
+ * @param {object} chomboRefs chombo counts keyed by `person-P`
+ * @param {object} rules as returned by normalizeRules
+ * @param {number[][][]} rounds seating returned by the solver
+ * @param {number[][]} byes players sitting out each round
+ * @param {string[]} tiebreakers keys of TIEBREAKERS, in order
+ * @returns {object[][]} for each round, the standings as rankStandings returns them
+ */
+function standingsAfterRounds(textFieldRefs, chomboRefs, rules, rounds = [], byes = [], tiebreakers = DEFAULT_TIEBREAKERS) {
+  let lastScored = -1
+  rounds.forEach((_, r) => { if (roundHasScores(textFieldRefs, r)) lastScored = r })
+
+  return rounds.slice(0, lastScored + 1).map((_, r) => {
+    const refs = {}
+    for (const key in textFieldRefs) {
+      const match = /^round-(\d+)-/.exec(key)
+      if (match && parseInt(match[1]) <= r) refs[key] = textFieldRefs[key]
+    }
+    const totals = calculateStandings(refs, r === lastScored ? chomboRefs : {}, rules, rounds, byes)
+    return rankStandings(totals, gameRecords(refs, rules, rounds), tiebreakers)
+  })
+}
+
+/**
+ * How one player's total came about, round by round. The arguments after
+ * the player's number are the same as standingsAfterRounds'.
+ *
+ * @param {number} player the player's number
+ * @returns {{rounds: object[], chombos: number, chomboPoints: number}} a row
+ *          for every seated round: {round, table, seat, opponents, bye, score,
+ *          place, uma, oka, points, total, place after the round as rank}.
+ *          table and seat are null for a bye, and the scores are null until
+ *          they've been entered; total and rank are null for rounds after the
+ *          latest one with scores.
+ */
+function playerBreakdown(player, textFieldRefs, chomboRefs, rules, rounds = [], byes = [], tiebreakers = DEFAULT_TIEBREAKERS) {
+  const person = `person-${player}`
+  const progress = standingsAfterRounds(textFieldRefs, chomboRefs, rules, rounds, byes, tiebreakers)
+
+  const rows = rounds.map((round, r) => {
+    const after = progress[r] && progress[r].find(entry => entry.person === person)
+    const row = {
+      round: r,
+      table: null,
+      seat: null,
+      opponents: [],
+      bye: (byes[r] || []).includes(player),
+      score: null,
+      place: null,
+      uma: null,
+      oka: null,
+      points: null,
+      total: after ? after.score : null,
+      rank: after ? after.place : null,
+    }
+    const t = round.findIndex(group => group.includes(player))
+    if (t < 0) {
+      if (row.bye && roundHasScores(textFieldRefs, r)) row.points = rules.byeScore
+      return row
+    }
+
+    const group = round[t]
+    row.table = t
+    row.seat = group.indexOf(player)
+    row.opponents = group.filter(other => other !== player)
+    const peopleAtTable = {}
+    group.forEach(other => {
+      const score = textFieldRefs[`round-${r}-table-${t}-person-${other}`]
+      if (score !== undefined) peopleAtTable[`person-${other}`] = score
+    })
+    const result = tableBreakdown(peopleAtTable, rules, group).find(entry => entry.person === person)
+    if (!result) return row
+    const { score, place, uma, oka, points } = result
+    return { ...row, score, place, uma, oka, points }
+  })
+
+  const chombos = chomboRefs[person] || 0
+  return { rounds: rows, chombos, chomboPoints: chombos * chomboPenalty(rules, rounds) }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NEGATIVE_DEFAULT,
+    RULE_PRESETS,
+    DEFAULT_RULES,
+    normalizeRules,
+    rulesForTable,
+    rulesToFields,
+    chomboPenalty,
+    calculateStandings,
+    roundHasScores,
+    validateTables,
+    transformToNested,
+    processNestedScores,
+    processTableScores,
+    tableBreakdown,
+    placementShares,
+    TIEBREAKERS,
+    DEFAULT_TIEBREAKERS,
+    normalizeTiebreakers,
+    gameRecords,
+    rankStandings,
+    standingsAfterRounds,
+    playerBreakdown,
+  }
+}
@@ -0,0 +1,41 @@
+const path = require('path')
+const { Worker } = require('worker_threads')
+
+// 'genetic' is geneticSolver, 'exact' is the slower lib/exactSolver.js
+const SOLVER_STRATEGIES = ['genetic', 'exact']
+// The longest an organizer can let the exact solver search, in seconds
+const MAX_TIME_BUDGET = 300
+
+/**
+ * Run the seating solver on a worker thread.
+ *
+ * Seating used to be computed in the organizer's browser; running it here
+ * means closing that tab no longer leaves a tournament half-seated.
+ *
+ * @param {object} request the solver arguments: groups, ofSize, forRounds,
+ *        withGroupLeaders, forbiddenPairs and discouragedGroups, plus any
+ *        geneticSolver options, and the strategy to solve with
+ * @param {object} handlers
+ * @param {function} handlers.onProgress called with each of geneticSolver's
+ *        progress reports ({rounds, roundScores, ..., done})
+ * @param {function} handlers.onGeneration called with the solver's status
+ *        reports (see geneticSolver's options.onGeneration)
+ * @param {function} handlers.onError called if the solver thread crashes
+ * @returns {Worker} the running thread; terminate() it to stop the solver
+ */
+function startSolver(request, { onProgress, onGeneration, onError }) {
+  const worker = new Worker(path.join(__dirname, 'worker.js'))
+  worker.on('message', message => {
+    if (message.generation) {
+      if (onGeneration) onGeneration(message.generation)
+      return
+    }
+    onProgress(message)
+    if (message.done) worker.terminate()
+  })
+  worker.on('error', onError)
+  worker.postMessage(request)
+  return worker
+}
+
+module.exports = { SOLVER_STRATEGIES, MAX_TIME_BUDGET, startSolver }
@@ -0,0 +1,77 @@
+// Table layouts for player counts that don't fill every table.
+//
+// Loaded by the home page and the tournament page as a plain script and by
+// server.js through module.exports, so all of them agree on how many tables
+// a tournament has and how big each one is.
+
+const TABLE_MODES = ['byes', 'mixed']
+
+/**
+ * Decide how many tables of which size seat the given number of players.
+ *
+ * In 'byes' mode every table has <ofSize> players and whoever is left over
+ * sits out the round. In 'mixed' mode three- and four-player tables are
+ * combined so nobody sits out, using as many <ofSize> tables as possible.
+ * When no mix adds up (for example 5 players at four-player tables) it falls
+ * back to byes.
+ *
+ * For example, 13 players at four-player tables:
+ *
+ *     planTables(13, 4, 'byes')  -> { tableSizes: [4, 4, 4], byes: 1 }
+ *     planTables(13, 4, 'mixed') -> { tableSizes: [4, 3, 3, 3], byes: 0 }
+ *
+ * @param {number} numPlayers how many players are in the tournament
+ * @param {number} ofSize the preferred number of players per table
+ * @param {string} tableMode either 'byes' (the default) or 'mixed'
+ * @returns {{tableSizes: number[], byes: number}} byes is the number of
+ *          players sitting out each round
+ */
+function planTables(numPlayers, ofSize, tableMode = 'byes') {
+  if (tableMode === 'mixed' && (ofSize === 3 || ofSize === 4)) {
+    const otherSize = 7 - ofSize
+    for (let otherTables = 0; otherTables * otherSize <= numPlayers; otherTables++) {
+      const remaining = numPlayers - otherTables * otherSize
+      if (remaining % ofSize === 0) {
+        const tableSizes = [
+          ...new Array(remaining / ofSize).fill(ofSize),
+          ...new Array(otherTables).fill(otherSize),
+        ]
+        if (tableSizes.length > 0) return { tableSizes, byes: 0 }
+      }
+    }
+  }
+
+  const tables = Math.floor(numPlayers / ofSize)
+  return {
+    tableSizes: new Array(tables).fill(ofSize),
+    byes: numPlayers - tables * ofSize,
+  }
+}
+
+/**
+ * The table layout for a stored tournament config. Tournaments created
+ * before uneven player counts were supported only have groups and ofSize.
+ * Players who withdrew are not seated any more.
+ */
+function tableLayoutFor(config) {
+  const numPlayers = config.numPlayers || config.groups * config.ofSize
+  const withdrawn = (config.withdrawnPlayers || []).length
+  return planTables(numPlayers - withdrawn, config.ofSize, config.tableMode)
+}
+
+// A short human-readable summary, such as "1 table of 4, 3 tables of 3"
+function describeLayout(layout) {
+  const counts = {}
+  layout.tableSizes.forEach(size => { counts[size] = (counts[size] || 0) + 1 })
+  const parts = Object.keys(counts)
+    .sort((a, b) => b - a)
+    .map(size => `${counts[size]} ${counts[size] === 1 ? 'table' : 'tables'} of ${size}`)
+  if (layout.byes > 0) {
+    parts.push(`${layout.byes} ${layout.byes === 1 ? 'bye' : 'byes'} per round`)
+  }
+  return parts.join(', ')
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TABLE_MODES, planTables, tableLayoutFor, describeLayout }
+}
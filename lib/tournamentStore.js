@@ -0,0 +1,98 @@
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Storage backends for tournament state.
+ *
+ * A store only ever sees plain, JSON-serializable tournament snapshots; the
+ * server is responsible for stripping live objects (sockets, timers' client
+ * sets) before saving and for re-creating them after loading. Every backend
+ * implements the same three methods:
+ *
+ *     loadAll() -> Array<{hash, state}>
+ *     save(hash, state)
+ *     remove(hash)
+ *
+ * so new backends (SQLite, Redis, ...) can be added without touching the
+ * server's message handling.
+ */
+
+/**
+ * Keeps nothing between restarts. This is the old behaviour, and is useful
+ * for local development or throwaway events.
+ */
+class MemoryStore {
+  loadAll() {
+    return []
+  }
+
+  save() {}
+
+  remove() {}
+}
+
+/**
+ * Writes one JSON file per tournament into a directory.
+ *
+ * Files are written to a temporary path and then renamed over the old file,
+ * so a crash in the middle of a write never leaves a half-written tournament
+ * behind.
+ */
+class JsonFileStore {
+  constructor(directory) {
+    this.directory = directory
+    fs.mkdirSync(directory, { recursive: true })
+  }
+
+  fileFor(hash) {
+    return path.join(this.directory, `${encodeURIComponent(hash)}.json`)
+  }
+
+  loadAll() {
+    return fs.readdirSync(this.directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const fullPath = path.join(this.directory, file)
+        try {
+          return {
+            hash: decodeURIComponent(file.slice(0, -'.json'.length)),
+            state: JSON.parse(fs.readFileSync(fullPath, 'utf8')),
+          }
+        } catch (error) {
+          console.error(`Skipping unreadable tournament file ${fullPath}:`, error)
+          return null
+        }
+      })
+      .filter(entry => entry !== null)
+  }
+
+  save(hash, state) {
+    const target = this.fileFor(hash)
+    const temp = `${target}.tmp`
+    fs.writeFileSync(temp, JSON.stringify(state))
+    fs.renameSync(temp, target)
+  }
+
+  remove(hash) {
+    fs.rmSync(this.fileFor(hash), { force: true })
+  }
+}
+
+/**
+ * Pick a storage backend by name.
+ *
+ * @param {string} backend either 'json' (the default) or 'memory'
+ * @param {string} directory where the 'json' backend keeps its files
+ */
+function createStore(backend = 'json', directory) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryStore()
+    case 'json':
+      return new JsonFileStore(directory)
+    default:
+      throw new Error(`Unknown tournament store backend: ${backend}`)
+  }
+}
+
+module.exports = { createStore, JsonFileStore, MemoryStore }
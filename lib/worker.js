@@ -1,11 +1,20 @@
-self.importScripts('https://cdn.jsdelivr.net/npm/lodash@4.17.4/lodash.min.js')
-self.importScripts('geneticSolver.js')
+// Runs geneticSolver in a worker thread for the server (see lib/solverRunner.js),
+// so a long computation never blocks the server's event loop.
+const { parentPort } = require('worker_threads')
+const { geneticSolver } = require('./geneticSolver')
+const { exactSolver } = require('./exactSolver')
 
-self.addEventListener('message', function(e) {
-  // Any message from the host page starts a new computation
-  const {groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups} = e.data
-  // Compute results and send them back to the host page
-  geneticSolver(groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups, (results) => {
-    self.postMessage(results)
+parentPort.on('message', function(data) {
+  // Any message from the server starts a new computation
+  // (anything else in the message is passed along as solver options)
+  const {strategy, groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups, ...options} = data
+  const solver = strategy === 'exact' ? exactSolver : geneticSolver
+  // Compute results and send them back to the server
+  solver(groups, ofSize, forRounds, withGroupLeaders, forbiddenPairs, discouragedGroups, (results) => {
+    parentPort.postMessage(results)
+  }, {
+    ...options,
+    // Status reports are told apart from results by their generation key
+    onGeneration: (status) => parentPort.postMessage({ generation: status }),
   })
-}, false)
+})
@@ -2,6 +2,15 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
+const { createStore } = require('./lib/tournamentStore');
+const {
+  calculateStandings, normalizeRules, rulesForTable, gameRecords, rankStandings, normalizeTiebreakers
+} = require('./lib/scoring');
+const { TABLE_MODES, planTables, tableLayoutFor } = require('./lib/tableLayout');
+const { scheduleScores } = require('./lib/pairings');
+const { normalizeHand, handLogFields } = require('./lib/handLog');
+const { SOLVER_STRATEGIES, MAX_TIME_BUDGET, startSolver } = require('./lib/solverRunner');
 
 const app = express();
 const server = http.createServer(app);
@@ -26,6 +35,169 @@ app.get('/timer', (req, res) => {
 // Store tournaments by hash
 const tournaments = new Map();
 
+// Seating runs on worker threads, at most one per tournament, by hash
+const solverThreads = new Map();
+// Least time between two SEATING_STATUS broadcasts for a tournament, in ms
+const SEATING_STATUS_INTERVAL = 250;
+
+// Persist tournaments so a restart doesn't wipe live events.
+// TOURNAMENT_STORE picks the backend ('json' or 'memory'), and the json
+// backend keeps its files in TOURNAMENT_DATA_DIR. The default directory is a
+// dotfile so express.static never serves it.
+const store = createStore(
+  process.env.TOURNAMENT_STORE || 'json',
+  process.env.TOURNAMENT_DATA_DIR || path.join(__dirname, '.data')
+);
+
+// Strip live objects (sockets) so the tournament can be written to storage
+function toStoredState(tournament) {
+  const { clients, timers, ...state } = tournament;
+  return {
+    ...state,
+    timers: Array.from(timers.values()).map(({ clients, ...timer }) => timer)
+  };
+}
+
+// Strip server-only secrets from what gets sent to browsers
+function toClientState(tournament) {
+  const { timers, organizerSecret, tableTokens, ...state } = toStoredState(tournament);
+  return state;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function randomSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// A seed the organizer typed, or null if they left it blank
+function chosenSeed(raw) {
+  return typeof raw === 'string' && raw.trim() ? raw.trim().slice(0, 64) : null;
+}
+
+// Constant-time comparison so the secret can't be guessed byte by byte
+function secretMatches(expected, provided) {
+  if (typeof expected !== 'string' || typeof provided !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Message types that change the tournament and therefore need the organizer
+// secret. UPDATE_TEXT_FIELD and UPDATE_HAND_LOG are also accepted from a
+// table's scorekeeper (see canEditTextField and canEditHandLog), and so are
+// the timer controls for that table's own clock (see canControlTimer).
+const ORGANIZER_MESSAGE_TYPES = new Set([
+  'UPDATE_CHOMBO',
+  'UPDATE_CONFIG',
+  'UPDATE_PLAYER_NAMES',
+  'RECOMPUTE_TOURNAMENT',
+  'UPDATE_ROSTER',
+  'SEAT_NEXT_ROUND',
+  'CANCEL_SEATING',
+  'SWAP_SEATS',
+  'LOCK_ROUNDS',
+  'UPDATE_RESULTS',
+  'ISSUE_TABLE_TOKEN'
+]);
+
+// Scorekeeper tokens are scoped to one table in one round (both 0-based, the
+// same indices used in score field ids). They may only edit the score fields
+// of players actually seated at that table, plus its leftover riichi sticks.
+function canEditTextField(tournament, tableScope, fieldId) {
+  if (!tableScope) return false;
+  const match = /^round-(\d+)-table-(\d+)-(?:person-(\d+)|riichi)$/.exec(fieldId);
+  if (!match) return false;
+
+  const [round, table, person] = match.slice(1).map(Number);
+  if (round !== tableScope.round || table !== tableScope.table) return false;
+  if (isNaN(person)) return true; // the table's leftover riichi sticks
+
+  const rounds = tournament.lastResults ? tournament.lastResults.rounds : [];
+  const group = rounds[round] && rounds[round][table];
+  return Array.isArray(group) && group.includes(person);
+}
+
+// A scorekeeper may keep the hand log of their own table only
+function canEditHandLog(tableScope, payload) {
+  return Boolean(tableScope) && payload.round === tableScope.round && payload.table === tableScope.table;
+}
+
+const TIMER_MESSAGE_TYPES = new Set(['TIMER_START', 'TIMER_PAUSE', 'TIMER_RESUME', 'TIMER_RESET']);
+
+// A scorekeeper may run their own table's timer. Timer ids number rounds and
+// tables from 1, e.g. 'round-1-table-2'; the tournament-wide one is the
+// organizer's.
+function canControlTimer(tableScope, timerId) {
+  return Boolean(tableScope) && timerId === `round-${tableScope.round + 1}-table-${tableScope.table + 1}`;
+}
+
+// Who a connection speaks for: the organizer if it has the secret, a table's
+// scorekeeper if it has one of the tournament's table tokens
+function identifyClient(ws, tournament, { secret, tableToken }) {
+  ws.isOrganizer = secretMatches(tournament.organizerSecret, secret);
+  const tableTokens = tournament.tableTokens || {};
+  ws.tableScope = (tableToken && Object.prototype.hasOwnProperty.call(tableTokens, tableToken))
+    ? tableTokens[tableToken]
+    : null;
+}
+
+function getRole(ws) {
+  if (ws.isOrganizer) return 'organizer';
+  if (ws.tableScope) return 'scorekeeper';
+  return 'spectator';
+}
+
+// Rebuild a live tournament from its stored snapshot
+function fromStoredState(state) {
+  const timers = new Map();
+  const now = Date.now();
+  (state.timers || []).forEach((timer) => {
+    // Running timers resume from their stored endTime; ones that ran out
+    // while the server was down are simply finished
+    const expired = timer.isRunning && timer.endTime <= now;
+    timers.set(timer.timerId, {
+      ...timer,
+      isRunning: timer.isRunning && !expired,
+      clients: new Set()
+    });
+  });
+  // Tournaments saved before hand logs existed don't have any
+  return { handLogs: {}, supersededHandLogs: {}, ...state, clients: new Set(), timers };
+}
+
+function persistTournament(hash, tournament) {
+  try {
+    store.save(hash, toStoredState(tournament));
+  } catch (error) {
+    console.error(`Failed to save tournament ${hash}:`, error);
+  }
+}
+
+store.loadAll().forEach(({ hash, state }) => {
+  const tournament = fromStoredState(state);
+  if (!tournament.organizerSecret) {
+    // Tournaments saved before organizer secrets existed get one now
+    tournament.organizerSecret = generateSecret();
+    persistTournament(hash, tournament);
+    // The secret itself stays out of the log; it's in the tournament's saved data
+    console.log(`Generated an organizer secret for ${hash}`);
+  }
+  tournaments.set(hash, tournament);
+
+  // Seating that was still running when the server stopped (or in an
+  // organizer's browser tab that closed, before seating moved here) picks up
+  // from the rounds it had already finished
+  const unfinished = tournament.lastResults && !tournament.lastResults.done;
+  if (tournament.seatingRounds || unfinished) {
+    console.log(`Resuming seating for tournament ${hash}`);
+    startSeating(hash, tournament, tournament.seatingRounds || tournament.config.forRounds);
+  }
+});
+console.log(`Loaded ${tournaments.size} tournament(s) from storage`);
+
 // API endpoint to create tournament
 app.post('/api/tournament', (req, res) => {
   const { hash, config } = req.body;
@@ -38,42 +210,94 @@ app.post('/api/tournament', (req, res) => {
     return res.status(409).json({ error: 'Tournament ID already exists' });
   }
 
-  // Generate default player names based on number of players
-  const groups = config.groups || 3;
+  // Player counts that don't fill every table get byes or mixed table sizes
   const ofSize = config.ofSize || 4;
-  const numPlayers = groups * ofSize;
+  const numPlayers = config.numPlayers || (config.groups || 3) * ofSize;
+  const tableMode = TABLE_MODES.includes(config.tableMode) ? config.tableMode : 'byes';
+  const layout = planTables(numPlayers, ofSize, tableMode);
+  if (layout.tableSizes.length === 0) {
+    return res.status(400).json({ error: `Need at least ${ofSize} players for a table` });
+  }
+  const groups = layout.tableSizes.length;
+
+  // 'fixed' seats every round up front; 'swiss' seats each round from the
+  // standings when the organizer asks for it
+  const seatingMode = config.seatingMode === 'swiss' ? 'swiss' : 'fixed';
+
+  // Every tournament is seated from a seed, so the draw can be published and
+  // reproduced later. Organizers may choose one; otherwise it's random.
+  const seed = chosenSeed(config.seed) || randomSeed();
+
+  // 'genetic' seats quickly; 'exact' searches for up to timeBudget seconds
+  // for a schedule with as few repeat pairings as possible
+  const strategy = SOLVER_STRATEGIES.includes(config.strategy) ? config.strategy : 'genetic';
+  const timeBudget = Math.min(Math.max(parseInt(config.timeBudget, 10) || 10, 1), MAX_TIME_BUDGET);
+
+  // Generate default player names based on number of players
   const defaultPlayerNames = Array.from({ length: numPlayers }, (_, i) => `Player ${i + 1}`);
 
+  const organizerSecret = generateSecret();
+
   // Create new tournament state
   tournaments.set(hash, {
     config: {
       groups: groups,
       ofSize: ofSize,
+      numPlayers: numPlayers,
+      tableMode: tableMode,
+      seatingMode: seatingMode,
+      seed: seed,
+      strategy: strategy,
+      timeBudget: timeBudget,
       forRounds: config.forRounds || 3,
       playerNames: defaultPlayerNames,
       forbiddenPairs: [],
       discouragedGroups: [],
+      withdrawnPlayers: [],
     },
     lastResults: null,
     textFieldRefs: {},
     chomboRefs: {},
-    oka: null,
+    handLogs: {}, // 'round-R-table-T' -> the hands played there, in order
+    // 'round-R-table-T' -> logs set aside when a swap changed the table's
+    // line-up, each {players, hands}, kept as the record of what was played
+    supersededHandLogs: {},
+    standings: {},
+    rulePreset: null,
+    customPresets: {},
+    startingPoints: null,
+    returnPoints: null,
     uma1: null,
     uma2: null,
     uma3: null,
     uma4: null,
-    startingPoints: null,
     chomboValue: null,
+    chomboStyle: null,
+    tiePolicy: null,
+    tiebreakers: null, // Ordered TIEBREAKERS keys; null for the default chain
+    sanmaStartingPoints: null,
+    sanmaReturnPoints: null,
+    sanmaUma1: null,
+    sanmaUma2: null,
+    sanmaUma3: null,
+    byeScore: null,
+    balanceTables: true,
+    tableRules: [],
+    solverTuning: {},
+    lockedRounds: 0, // The first lockedRounds rounds are kept when re-seating
     lastUpdated: Date.now(),
     version: 0,
     isEmpty: true,
     locked: true, // Config is locked after creation
+    organizerSecret,
+    tableTokens: {}, // Scorekeeper token -> { round, table }
     clients: new Set(),
     timers: new Map() // Store timer states by timerId
   });
 
+  persistTournament(hash, tournaments.get(hash));
   console.log(`Created tournament: ${hash}`);
-  res.json({ success: true, hash });
+  res.json({ success: true, hash, organizerSecret });
 });
 
 // API endpoint to get tournament
@@ -85,8 +309,7 @@ app.get('/api/tournament/:hash', (req, res) => {
     return res.status(404).json({ error: 'Tournament not found' });
   }
 
-  const { clients, ...tournamentData } = tournament;
-  res.json(tournamentData);
+  res.json(toClientState(tournament));
 });
 
 // WebSocket connection handler
@@ -170,7 +393,7 @@ function handleClientMessage(ws, data) {
 
   // Handle JOIN_TOURNAMENT first
   if (type === 'JOIN_TOURNAMENT') {
-    const { hash } = payload;
+    const { hash, secret, tableToken } = payload;
     const tournament = tournaments.get(hash);
 
     if (!tournament) {
@@ -182,21 +405,23 @@ function handleClientMessage(ws, data) {
     }
 
     ws.tournamentHash = hash;
+    identifyClient(ws, tournament, { secret, tableToken });
     tournament.clients.add(ws);
-    console.log(`Client joined tournament ${hash}. Total clients: ${tournament.clients.size}`);
+    console.log(`Client joined tournament ${hash} as ${getRole(ws)}. Total clients: ${tournament.clients.size}`);
 
     // Send full state to newly connected client
-    const { clients, ...state } = tournament;
     ws.send(JSON.stringify({
       type: 'FULL_STATE',
-      state
+      state: toClientState(tournament),
+      role: getRole(ws),
+      tableScope: ws.tableScope
     }));
     return;
   }
 
   // Handle JOIN_TIMER for timer clients
   if (type === 'JOIN_TIMER') {
-    const { hash, timerId } = payload;
+    const { hash, timerId, secret, tableToken } = payload;
     const tournament = tournaments.get(hash);
     if (!tournament) {
       ws.send(JSON.stringify({ type: 'ERROR', payload: { message: 'Tournament not found' } }));
@@ -207,6 +432,7 @@ function handleClientMessage(ws, data) {
     timer.clients.add(ws);
     ws.tournamentHash = hash;
     ws.timerId = timerId;
+    identifyClient(ws, tournament, { secret, tableToken });
 
     // Send current timer state
     const timeLeft = timer.isRunning
@@ -220,7 +446,8 @@ function handleClientMessage(ws, data) {
         isRunning: timer.isRunning,
         endTime: timer.endTime,
         timeLeft,
-        duration: timer.duration
+        duration: timer.duration,
+        canControl: ws.isOrganizer || canControlTimer(ws.tableScope, timerId)
       }
     }));
     console.log(`Client joined timer: ${hash}/${timerId}`);
@@ -245,19 +472,82 @@ function handleClientMessage(ws, data) {
     return;
   }
 
+  const allowed = ws.isOrganizer
+    || (!ORGANIZER_MESSAGE_TYPES.has(type) && !TIMER_MESSAGE_TYPES.has(type)
+      && type !== 'UPDATE_TEXT_FIELD' && type !== 'UPDATE_HAND_LOG')
+    || (type === 'UPDATE_TEXT_FIELD' && canEditTextField(tournament, ws.tableScope, payload.fieldId))
+    || (type === 'UPDATE_HAND_LOG' && canEditHandLog(ws.tableScope, payload))
+    || (TIMER_MESSAGE_TYPES.has(type) && canControlTimer(ws.tableScope, payload.timerId));
+  if (!allowed) {
+    ws.send(JSON.stringify({
+      type: 'ERROR',
+      error: 'You are not allowed to make this change'
+    }));
+    return;
+  }
+
   switch (type) {
-    case 'UPDATE_TEXT_FIELD':
+    case 'UPDATE_TEXT_FIELD': {
+      // Scores are numbers and the riichi sticks left on a table are counted
+      const isRiichi = /-riichi$/.test(payload.fieldId);
+      const valid = isRiichi
+        ? Number.isInteger(payload.value) && payload.value >= 0
+        : Number.isFinite(payload.value);
+      if (!valid) {
+        ws.send(JSON.stringify({
+          type: 'ERROR',
+          error: isRiichi ? 'Riichi sticks must be a whole number, 0 or more' : 'Scores must be numbers'
+        }));
+        return;
+      }
       tournament.textFieldRefs[payload.fieldId] = payload.value;
       tournament.version++;
       tournament.isEmpty = false;
       broadcastToTournament(tournament, 'TEXT_FIELD_UPDATED', payload);
+      updateStandings(tournament);
       break;
+    }
+
+    case 'UPDATE_HAND_LOG': {
+      // A table's hands, logged one by one. The final scores and leftover
+      // riichi sticks are worked out from them and stored like typed scores.
+      const { round, table } = payload;
+      const rounds = tournament.lastResults ? tournament.lastResults.rounds : [];
+      const group = rounds[round] && rounds[round][table];
+      const hands = Array.isArray(group) && Array.isArray(payload.hands)
+        ? payload.hands.map(hand => normalizeHand(hand, group))
+        : [null];
+      if (hands.includes(null)) {
+        ws.send(JSON.stringify({ type: 'ERROR', error: 'That hand log has a hand that cannot be scored' }));
+        return;
+      }
+      const tableKey = `round-${round}-table-${table}`;
+      let fields = {};
+      let clearedFieldIds = [];
+      if (hands.length > 0) {
+        tournament.handLogs[tableKey] = hands;
+        const { startingPoints } = rulesForTable(normalizeRules(tournament), group.length);
+        fields = handLogFields(round, table, hands, group, startingPoints);
+        Object.assign(tournament.textFieldRefs, fields);
+      } else if (tournament.handLogs[tableKey]) {
+        // Emptying the log takes back the scores it wrote
+        delete tournament.handLogs[tableKey];
+        clearedFieldIds = group.map(person => `${tableKey}-person-${person}`).concat(`${tableKey}-riichi`);
+        clearedFieldIds.forEach(fieldId => { delete tournament.textFieldRefs[fieldId]; });
+      }
+      tournament.version++;
+      tournament.isEmpty = false;
+      broadcastToTournament(tournament, 'HAND_LOG_UPDATED', { round, table, hands, fields, clearedFieldIds });
+      updateStandings(tournament);
+      break;
+    }
 
     case 'UPDATE_CHOMBO':
       tournament.chomboRefs[payload.person] = payload.count;
       tournament.version++;
       tournament.isEmpty = false;
       broadcastToTournament(tournament, 'CHOMBO_UPDATED', payload);
+      updateStandings(tournament);
       break;
 
     case 'UPDATE_CONFIG':
@@ -267,6 +557,7 @@ function handleClientMessage(ws, data) {
       tournament.version++;
       tournament.isEmpty = false;
       broadcastToTournament(tournament, 'CONFIG_UPDATED', payload);
+      updateStandings(tournament);
       break;
 
     case 'UPDATE_PLAYER_NAMES':
@@ -276,10 +567,24 @@ function handleClientMessage(ws, data) {
       broadcastToTournament(tournament, 'PLAYER_NAMES_UPDATED', payload);
       break;
 
-    case 'RECOMPUTE_TOURNAMENT':
-      tournament.lastResults = null;
-      tournament.textFieldRefs = {};
-      tournament.chomboRefs = {};
+    case 'RECOMPUTE_TOURNAMENT': {
+      stopSeating(ws.tournamentHash, tournament);
+      // Locked rounds and everything entered for them stay; the rest is
+      // cleared and seated again around them
+      const lockedRounds = tournament.lastResults
+        ? Math.min(tournament.lockedRounds || 0, tournament.lastResults.rounds.length)
+        : 0;
+      tournament.lockedRounds = lockedRounds;
+      if (lockedRounds > 0) {
+        tournament.lastResults = keepPlayedRounds(tournament.lastResults, lockedRounds);
+        dropScoresFrom(tournament, lockedRounds);
+      } else {
+        tournament.lastResults = null;
+        tournament.textFieldRefs = {};
+        tournament.chomboRefs = {};
+        tournament.handLogs = {};
+        tournament.supersededHandLogs = {};
+      }
       if (payload.config) {
         // Update allowed config fields
         const { playerNames, forbiddenPairs, discouragedGroups } = payload.config;
@@ -287,25 +592,148 @@ function handleClientMessage(ws, data) {
         if (forbiddenPairs) tournament.config.forbiddenPairs = forbiddenPairs;
         if (discouragedGroups) tournament.config.discouragedGroups = discouragedGroups;
       }
+      // The seed stays, so a published draw can be rebuilt, unless the
+      // organizer gives another one or asks for a new draw. Rounds are
+      // seeded one by one, so locked rounds don't depend on it.
+      if (chosenSeed(payload.seed)) {
+        tournament.config.seed = chosenSeed(payload.seed);
+      } else if (payload.newSeed === true) {
+        tournament.config.seed = randomSeed();
+      }
       tournament.version++;
       tournament.isEmpty = false;
-      broadcastToTournament(tournament, 'TOURNAMENT_RECOMPUTED', payload);
+      broadcastToTournament(tournament, 'TOURNAMENT_RECOMPUTED', { ...payload, lockedRounds, seed: tournament.config.seed });
+      updateStandings(tournament);
+      // Swiss tournaments seat the next round now and the rest one at a time
+      startSeating(ws.tournamentHash, tournament, tournament.config.seatingMode === 'swiss' ? lockedRounds + 1 : tournament.config.forRounds);
       break;
+    }
+
+    case 'LOCK_ROUNDS': {
+      // Rounds can only be locked from the first one on: the solver seats
+      // rounds in order, so it keeps the locked ones and seats the rest
+      // around their pairings
+      const results = tournament.lastResults;
+      if (solverThreads.has(ws.tournamentHash) || !results || !results.done) {
+        ws.send(JSON.stringify({ type: 'ERROR', error: 'Wait for seating to finish before locking rounds' }));
+        return;
+      }
+      if (!Number.isInteger(payload.lockedRounds)) return;
+      tournament.lockedRounds = Math.max(0, Math.min(payload.lockedRounds, results.rounds.length));
+      tournament.version++;
+      broadcastToTournament(tournament, 'ROUNDS_LOCKED', { lockedRounds: tournament.lockedRounds });
+      break;
+    }
+
+    case 'SEAT_NEXT_ROUND': {
+      const results = tournament.lastResults;
+      if (!results || !results.done || results.rounds.length >= tournament.config.forRounds) {
+        ws.send(JSON.stringify({ type: 'ERROR', error: 'There is no round left to seat' }));
+        return;
+      }
+      // Swiss seats the next round from the standings; otherwise this picks
+      // up the rounds left after seating was cancelled
+      const seatRounds = tournament.config.seatingMode === 'swiss' ? results.rounds.length + 1 : tournament.config.forRounds;
+      startSeating(ws.tournamentHash, tournament, seatRounds);
+      break;
+    }
+
+    case 'CANCEL_SEATING': {
+      if (!solverThreads.has(ws.tournamentHash)) return;
+      stopSeating(ws.tournamentHash, tournament);
+      // Keep the rounds seated so far; the rest can be seated later
+      const seated = tournament.lastResults || { rounds: [], roundScores: [], seatScores: [], tableRepeats: [], byes: [] };
+      tournament.lastResults = { ...seated, done: true };
+      tournament.version++;
+      broadcastToTournament(tournament, 'RESULTS_UPDATED', { results: tournament.lastResults });
+      updateStandings(tournament);
+      break;
+    }
+
+    case 'UPDATE_ROSTER': {
+      // Players joined or withdrew between rounds. Rounds from keepRounds on
+      // are re-seated, so drop them and anything entered for them; earlier
+      // rounds and their scores stay as they are. Swiss tournaments only
+      // re-seat the rounds that were already seated.
+      if (Array.isArray(payload.playerNames)) tournament.config.playerNames = payload.playerNames;
+      if (Number.isInteger(payload.numPlayers)) tournament.config.numPlayers = payload.numPlayers;
+      if (Array.isArray(payload.withdrawnPlayers)) tournament.config.withdrawnPlayers = payload.withdrawnPlayers;
+      let reseatRounds = null;
+      if (tournament.lastResults && Number.isInteger(payload.keepRounds)) {
+        stopSeating(ws.tournamentHash, tournament);
+        payload.keepRounds = Math.max(payload.keepRounds, tournament.lockedRounds || 0);
+        reseatRounds = tournament.config.seatingMode === 'swiss'
+          ? tournament.lastResults.rounds.length
+          : tournament.config.forRounds;
+        tournament.lastResults = keepPlayedRounds(tournament.lastResults, payload.keepRounds);
+        dropScoresFrom(tournament, payload.keepRounds);
+      }
+      tournament.version++;
+      tournament.isEmpty = false;
+      broadcastToTournament(tournament, 'ROSTER_UPDATED', payload);
+      updateStandings(tournament);
+      if (reseatRounds !== null && payload.keepRounds < reseatRounds) {
+        startSeating(ws.tournamentHash, tournament, reseatRounds);
+      }
+      break;
+    }
+
+    case 'SWAP_SEATS': {
+      // The organizer moved two players by hand within a round
+      const swapped = swapSeats(ws.tournamentHash, tournament, payload);
+      if (swapped.error) {
+        ws.send(JSON.stringify({ type: 'ERROR', error: swapped.error }));
+        return;
+      }
+      tournament.version++;
+      tournament.isEmpty = false;
+      broadcastToTournament(tournament, 'SEATS_SWAPPED', {
+        round: payload.round,
+        players: payload.players,
+        clearedFieldIds: swapped.clearedFieldIds,
+        supersededHandLogs: swapped.supersededHandLogs,
+        results: tournament.lastResults
+      });
+      updateStandings(tournament);
+      break;
+    }
 
     case 'UPDATE_RESULTS':
       tournament.lastResults = payload.results;
       tournament.version++;
       tournament.isEmpty = false;
       broadcastToTournament(tournament, 'RESULTS_UPDATED', payload);
+      updateStandings(tournament);
       break;
 
     case 'REQUEST_FULL_STATE':
-      const { clients, ...state } = tournament;
       ws.send(JSON.stringify({
         type: 'FULL_STATE',
-        state
+        state: toClientState(tournament),
+        role: getRole(ws),
+        tableScope: ws.tableScope
+      }));
+      return;
+
+    case 'ISSUE_TABLE_TOKEN': {
+      // Reuse the table's existing token so links already handed out keep working
+      const { round, table } = payload;
+      if (!Number.isInteger(round) || !Number.isInteger(table)) return;
+      if (!tournament.tableTokens) tournament.tableTokens = {};
+      let token = Object.keys(tournament.tableTokens).find((key) => {
+        const scope = tournament.tableTokens[key];
+        return scope.round === round && scope.table === table;
+      });
+      if (!token) {
+        token = generateSecret();
+        tournament.tableTokens[token] = { round, table };
+      }
+      ws.send(JSON.stringify({
+        type: 'TABLE_TOKEN_ISSUED',
+        payload: { round, table, token }
       }));
       break;
+    }
 
     case 'TIMER_START': {
       const { timerId, duration } = payload;
@@ -366,9 +794,249 @@ function handleClientMessage(ws, data) {
 
     default:
       console.warn('Unknown message type:', type);
+      return;
+  }
+
+  tournament.lastUpdated = Date.now();
+  persistTournament(ws.tournamentHash, tournament);
+}
+
+/**
+ * The geneticSolver arguments for seating a tournament up to forRounds
+ * rounds. Rounds already in lastResults are kept as they are. Swiss
+ * tournaments seat from the current standings once there are any.
+ */
+function solverRequestFor(tournament, forRounds) {
+  const { config } = tournament;
+  const { tableSizes } = tableLayoutFor(config);
+  const numPlayers = config.numPlayers || config.groups * config.ofSize;
+  const withdrawn = config.withdrawnPlayers || [];
+  const activePlayers = [...Array(numPlayers).keys()].filter(person => !withdrawn.includes(person));
+  const fixed = tournament.lastResults || { rounds: [], byes: [] };
+
+  const request = {
+    groups: tableSizes.length,
+    ofSize: config.ofSize,
+    forRounds,
+    forbiddenPairs: config.forbiddenPairs || [],
+    discouragedGroups: config.discouragedGroups || [],
+    numPlayers,
+    tableSizes,
+    activePlayers,
+    balanceTables: tournament.balanceTables === true,
+    tableRules: tournament.tableRules || [],
+    fixedRounds: fixed.rounds,
+    fixedByes: fixed.byes || [],
+    seed: config.seed,
+    strategy: config.strategy || 'genetic',
+    timeBudget: config.timeBudget,
+    ...solverTuningFor(tournament.solverTuning),
+  };
+  const standings = tournament.standings || {};
+  if (config.seatingMode === 'swiss' && Object.keys(standings).length > 0) {
+    // Ordered like the scoreboard, tiebreakers included
+    const totals = {};
+    activePlayers.forEach(person => { totals[`person-${person}`] = standings[`person-${person}`] || 0; });
+    const records = gameRecords(tournament.textFieldRefs, normalizeRules(tournament), fixed.rounds);
+    request.standings = rankStandings(totals, records, normalizeTiebreakers(tournament.tiebreakers))
+      .map(entry => parseInt(entry.person.replace('person-', '')));
+  }
+  return request;
+}
+
+// The organizer's geneticSolver settings, limited to values that keep a
+// round's search to a reasonable size. Anything unset uses the solver's default.
+function solverTuningFor(tuning = {}) {
+  const limits = { generations: [1, 500], randomMutations: [0, 50], maxDescendants: [1, 1000] };
+  const options = {};
+  Object.keys(limits).forEach(key => {
+    const value = parseInt(tuning[key], 10);
+    if (isNaN(value)) return;
+    const [min, max] = limits[key];
+    options[key] = Math.min(Math.max(value, min), max);
+  });
+  return options;
+}
+
+// Seat the tournament up to forRounds rounds on a worker thread, streaming
+// every finished round to the clients as RESULTS_UPDATED
+function startSeating(hash, tournament, forRounds) {
+  stopSeating(hash, tournament);
+  tournament.seatingRounds = forRounds;
+  if (tournament.lastResults) {
+    tournament.lastResults = { ...tournament.lastResults, done: false };
+    broadcastToTournament(tournament, 'RESULTS_UPDATED', { results: tournament.lastResults });
   }
 
+  let lastStatusAt = 0;
+  // A terminated worker can still deliver messages it had already sent, so
+  // only the one currently seating the tournament is listened to
+  const isCurrent = () => solverThreads.get(hash) === worker;
+  const worker = startSolver(solverRequestFor(tournament, forRounds), {
+    onProgress: (results) => {
+      if (isCurrent()) seatingProgress(hash, tournament, results);
+    },
+    // Solvers report every generation; clients only need a few updates a second
+    onGeneration: (status) => {
+      if (!isCurrent() || Date.now() - lastStatusAt < SEATING_STATUS_INTERVAL) return;
+      lastStatusAt = Date.now();
+      broadcastToTournament(tournament, 'SEATING_STATUS', { status });
+    },
+    onError: (error) => {
+      if (isCurrent()) seatingFailed(hash, tournament, error);
+    },
+  });
+  solverThreads.set(hash, worker);
+}
+
+// Store and share every progress report; the last one is marked done
+function seatingProgress(hash, tournament, results) {
+  tournament.lastResults = results;
+  tournament.version++;
   tournament.lastUpdated = Date.now();
+  if (results.done) {
+    solverThreads.delete(hash);
+    tournament.seatingRounds = null;
+  }
+  broadcastToTournament(tournament, 'RESULTS_UPDATED', { results });
+  if (results.done) updateStandings(tournament);
+  persistTournament(hash, tournament);
+}
+
+// A crashed solver thread leaves the rounds seated so far in place
+function seatingFailed(hash, tournament, error) {
+  console.error(`Seating failed for tournament ${hash}:`, error);
+  solverThreads.delete(hash);
+  tournament.seatingRounds = null;
+  if (tournament.lastResults) tournament.lastResults.done = true;
+  persistTournament(hash, tournament);
+  const message = JSON.stringify({ type: 'ERROR', error: 'Seating failed, please try again' });
+  tournament.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN) client.send(message);
+  });
+}
+
+function stopSeating(hash, tournament) {
+  const worker = solverThreads.get(hash);
+  if (worker) {
+    worker.terminate();
+    solverThreads.delete(hash);
+  }
+  tournament.seatingRounds = null;
+}
+
+// Swap two players in one round: each takes the other's seat, or place on
+// the bench if one of them was sitting out. Scores already entered for the
+// two players in that round no longer belong to their new tables, so they are
+// cleared, which leaves both tables incomplete until they're re-entered. A
+// table scored from a hand log loses all its scores, since the log was played
+// by the old line-up; the log is set aside in supersededHandLogs, which flags
+// the table for re-entry. The scores for the round and every later one are
+// recomputed, since the changed pairings carry forward.
+function swapSeats(hash, tournament, { round, players } = {}) {
+  const results = tournament.lastResults;
+  if (solverThreads.has(hash) || !results || !results.done) {
+    return { error: 'Wait for seating to finish before swapping players' };
+  }
+  if (!Number.isInteger(round) || !results.rounds[round] || !Array.isArray(players) || players.length !== 2) {
+    return { error: 'Those seats cannot be swapped' };
+  }
+  if (round < (tournament.lockedRounds || 0)) {
+    return { error: `Unlock round ${round + 1} before swapping its players` };
+  }
+
+  const [a, b] = players;
+  const tables = results.rounds[round].map(table => table.slice());
+  const byes = ((results.byes && results.byes[round]) || []).slice();
+  const find = person => {
+    for (let table = 0; table < tables.length; table++) {
+      const seat = tables[table].indexOf(person);
+      if (seat >= 0) return { list: tables[table], seat, table };
+    }
+    const seat = byes.indexOf(person);
+    return seat >= 0 ? { list: byes, seat, table: null } : null;
+  };
+  const from = find(a);
+  const to = find(b);
+  if (!from || !to || a === b || from.list === to.list) {
+    return { error: 'Pick two players at different tables in the same round' };
+  }
+  from.list[from.seat] = b;
+  to.list[to.seat] = a;
+
+  const clearedFieldIds = [];
+  const supersededHandLogs = {};
+  [[a, from.table], [b, to.table]].forEach(([person, table]) => {
+    if (table === null) return;
+    const tableKey = `round-${round}-table-${table}`;
+    const oldGroup = results.rounds[round][table];
+    const hands = tournament.handLogs[tableKey];
+    const fieldIds = hands
+      ? oldGroup.map(other => `${tableKey}-person-${other}`).concat(`${tableKey}-riichi`)
+      : [`${tableKey}-person-${person}`];
+    fieldIds.forEach(fieldId => {
+      if (tournament.textFieldRefs[fieldId] === undefined) return;
+      delete tournament.textFieldRefs[fieldId];
+      clearedFieldIds.push(fieldId);
+    });
+    if (hands) {
+      delete tournament.handLogs[tableKey];
+      const setAside = (tournament.supersededHandLogs[tableKey] || []).concat([{ players: oldGroup, hands }]);
+      tournament.supersededHandLogs[tableKey] = setAside;
+      supersededHandLogs[tableKey] = setAside;
+    }
+  });
+
+  const rounds = results.rounds.map((r, i) => i === round ? tables : r);
+  const { config } = tournament;
+  const scores = scheduleScores(rounds, config.numPlayers || config.groups * config.ofSize, config);
+  tournament.lastResults = {
+    ...results,
+    ...scores,
+    rounds,
+    byes: (results.byes || []).map((r, i) => i === round ? byes.sort((x, y) => x - y) : r),
+    // A schedule edited by hand is no longer the solver's proven optimum
+    optimal: results.optimal === undefined ? undefined : false,
+  };
+  return { clearedFieldIds, supersededHandLogs };
+}
+
+// Forget the scores and hand logs entered for every round from keepRounds on
+function dropScoresFrom(tournament, keepRounds) {
+  [tournament.textFieldRefs, tournament.handLogs, tournament.supersededHandLogs].forEach(refs => {
+    for (const key of Object.keys(refs)) {
+      const match = /^round-(\d+)-/.exec(key);
+      if (match && Number(match[1]) >= keepRounds) delete refs[key];
+    }
+  });
+}
+
+// Cut solver results down to their first keepRounds rounds
+function keepPlayedRounds(results, keepRounds) {
+  return {
+    ...results,
+    rounds: results.rounds.slice(0, keepRounds),
+    roundScores: results.roundScores.slice(0, keepRounds),
+    seatScores: (results.seatScores || []).slice(0, keepRounds),
+    tableRepeats: (results.tableRepeats || []).slice(0, keepRounds),
+    byes: (results.byes || []).slice(0, keepRounds),
+    // Only the kept rounds are left, so they're no longer a proven optimum
+    optimal: results.optimal === undefined ? undefined : false,
+    done: false,
+  };
+}
+
+// The server owns the standings: recompute them from the stored scores and
+// rules, and send them to everyone so all clients show identical numbers
+function updateStandings(tournament) {
+  tournament.standings = calculateStandings(
+    tournament.textFieldRefs,
+    tournament.chomboRefs,
+    normalizeRules(tournament),
+    tournament.lastResults ? tournament.lastResults.rounds : [],
+    tournament.lastResults ? tournament.lastResults.byes : []
+  );
+  broadcastToTournament(tournament, 'STANDINGS_UPDATED', { standings: tournament.standings });
 }
 
 // Broadcast state changes to all clients in a tournament
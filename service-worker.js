@@ -0,0 +1,58 @@
+// Keeps a copy of the tournament page so it still loads when the venue's
+// network is unreliable. Requests go to the server first and fall back to the
+// cached copy, so a working connection always gets the latest files.
+// Bump CACHE_NAME when the list of files changes.
+const CACHE_NAME = 'mahjongtourney-v3';
+
+const PAGE_FILES = [
+  '/',
+  '/index.html',
+  '/index.css',
+  '/home.css',
+  '/favicon.ico',
+  '/websocket-client.js',
+  '/tournament.js',
+  '/lib/scoring.js',
+  '/lib/tableLayout.js',
+  '/lib/pairings.js',
+  '/lib/handLog.js',
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PAGE_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches left behind by older versions of this file
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  // Tournament data comes from the API and the WebSocket, never from the cache
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  event.respondWith(
+    fetch(event.request)
+      .then(response => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(event.request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(event.request, { ignoreSearch: true }))
+  );
+});
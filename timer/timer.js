@@ -2,6 +2,7 @@ class TournamentTimer {
     constructor() {
         this.tournamentHash = null;
         this.timerId = null;
+        this.tableToken = null;
         this.wakeLock = null;
         this.socket = null;
         this.isRunning = false;
@@ -19,13 +20,15 @@ class TournamentTimer {
     }
 
     parseUrlHash() {
-        // Parse URL like: #HASH/timer/tournament or #HASH/timer/round-1-table-2
+        // Parse URL like: #HASH/timer/tournament or #HASH/timer/round-1-table-2,
+        // with a table's scorekeeper token after it on a scorekeeper's link
         const hash = window.location.hash.substring(1);
         const parts = hash.split('/');
 
         if (parts.length >= 3 && parts[1] === 'timer') {
             this.tournamentHash = parts[0];
             this.timerId = parts[2];
+            this.tableToken = parts[3] || null;
         } else {
             alert('Invalid timer URL format. Expected format: #HASH/timer/TYPE');
             window.location.href = '/';
@@ -68,6 +71,7 @@ class TournamentTimer {
         this.pauseBtn = document.getElementById('pauseBtn');
         this.resetBtn = document.getElementById('resetBtn');
         this.connectionStatus = document.getElementById('connectionStatus');
+        this.controls = document.querySelector('.controls');
     }
 
     initializeWebSocket() {
@@ -80,12 +84,15 @@ class TournamentTimer {
             this.connectionStatus.textContent = 'Connected';
             this.connectionStatus.className = 'connected';
 
-            // Join the specific timer
+            // Join the specific timer. Only the organizer (whose secret this
+            // browser keeps) and the table's scorekeeper may run it.
             this.socket.send(JSON.stringify({
                 type: 'JOIN_TIMER',
                 payload: {
                     hash: this.tournamentHash,
-                    timerId: this.timerId
+                    timerId: this.timerId,
+                    secret: localStorage.getItem(`organizerSecret:${this.tournamentHash}`),
+                    tableToken: this.tableToken
                 }
             }));
         };
@@ -233,6 +240,8 @@ class TournamentTimer {
                 break;
 
             case 'TIMER_SYNC':
+                // Everybody else just watches the clock
+                this.controls.style.display = payload.canControl ? '' : 'none';
                 this.isRunning = payload.isRunning;
                 this.endTime = payload.endTime;
                 if (this.isRunning) {
@@ -253,10 +262,12 @@ class TournamentTimer {
                 }
                 break;
 
-            case 'ERROR':
-                console.error('Server error:', payload.message);
-                alert('Error: ' + payload.message);
+            case 'ERROR': {
+                const message = payload ? payload.message : data.error;
+                console.error('Server error:', message);
+                alert('Error: ' + message);
                 break;
+            }
         }
     }
 
@@ -22,7 +22,8 @@
 // Besides index.html itself, this file is the entry point for the
 // application and is a good place to start to understand the flow
 // of control. However, it does not contain the actual solver. See
-// lib/geneticSolver.js if you want to jump to the actual algorithm.
+// lib/geneticSolver.js if you want to jump to the actual algorithm, and
+// lib/scoring.js for the uma/oka math shared with the server.
 //
 // We begin by declaring and initializing some page-global variables.
 //
@@ -38,12 +39,55 @@ let helpDivs, showHelpLink, hideHelpLink
 // also the parameters we will pass into the solver.
 let groups = 0
 let ofSize = 0
+let numPlayers = 0
+let tableMode = 'byes'
+let withdrawnPlayers = []
+let seatingMode = 'fixed'
+// Seed the server seats every round from, shown so the draw can be checked
+let seed = null
+// 'genetic' (quick) or 'exact' (thorough, searching for up to timeBudget seconds)
+let strategy = 'genetic'
+let timeBudget = null
+// The solver's latest SEATING_STATUS while seating is running
+let seatingStatus = null
+// Organizer overrides for the solver's generations, randomMutations and maxDescendants
+let solverTuning = {}
+// The two players picked in the pairings panel, highlighted in every round
+let highlightedPair = null
+// The player an organizer picked to swap seats with someone else: {round, person}
+let swapSelection = null
+// How many rounds, from the first, are kept when the tournament is re-seated
+let lockedRounds = 0
+// Physical tables: rotate players between them, and per-table rules as
+// {table, label, top} (see geneticSolver's tableRules option)
+let balanceTables = false
+let tableRules = []
+// Tiebreakers for players level on points, in order (see TIEBREAKERS in lib/scoring.js)
+let tiebreakers = normalizeTiebreakers()
+// The player whose round-by-round breakdown is open, or null
+let detailPlayer = null
+// What the standings chart plots: each player's 'score' or 'rank' after each round
+let chartMode = 'score'
 let forRounds = 0
 let playerNames = []
-let windNames = ["East", "South", "West", "North"]
+// Seat winds by number of players at the table
+let windNames = {
+  3: ["East", "South", "West"],
+  4: ["East", "South", "West", "North"],
+}
 let textFieldRefs = {}
-let forbiddenPairs = Immutable.Set()
-let discouragedGroups = Immutable.Set()
+// Hands logged at tables scored hand by hand, by 'round-R-table-T' (see lib/handLog.js)
+let handLogs = {}
+// Hand logs set aside when a swap changed a table's line-up, by
+// 'round-R-table-T', each a list of {players, hands}
+let supersededHandLogs = {}
+// The tables whose hand log is open on this page
+const openHandLogs = new Set()
+// The tables whose point calculator is open on this page
+const openCalculators = new Set()
+// Lists of player index lists, as passed to the solver
+let forbiddenPairs = []
+let discouragedGroups = []
 
 // Each time we kick off the solver we will mark the time, so that
 // we can eaily report the time required to compute the solution.
@@ -52,17 +96,6 @@ let startTime
 // This variable holds the last result returned by the solver,
 let lastResults
 
-// Next we launch a web worker which is responsible for the slow job
-// of actually computing a solution.
-//
-// Web workers are a simple way to do work in a background thread.
-// This gets the solver work out of the UI thread (this one) and
-// keeps the interface feeling responsive while a solution is being
-// computed.
-//
-// See https://developer.mozilla.org/en-US/docs/Web/API/Web_Workers_API/Using_web_workers
-const myWorker = new Worker('lib/worker.js');
-
 let finalScores = {}
 let chomboRefs = {}
 
@@ -70,16 +103,55 @@ let chomboRefs = {}
 let isSyncingFromServer = false;
 let hasReceivedInitialState = false;
 
+// Only the organizer (the browser holding the tournament's secret) may
+// change anything. A scorekeeper link may enter scores for one table in one
+// round ({ round, table }, both 0-based). Everyone else gets a read-only view.
+let isOrganizer = false;
+let tableScope = null;
+
+// Tournament URLs look like #HASH, or #HASH/table/TOKEN for a table's
+// scorekeeper link.
+function parseTournamentRoute() {
+  const [tournamentHash, view, token] = window.location.hash.substring(1).split('/');
+  return { tournamentHash, tableToken: view === 'table' ? token : null };
+}
+
+function canSync(type) {
+  return isOrganizer || (tableScope !== null && (type === 'UPDATE_TEXT_FIELD' || type === 'UPDATE_HAND_LOG'));
+}
+
 // Helper to send state updates
 function syncStateToServer(type, payload) {
-  if (!isSyncingFromServer && hasReceivedInitialState && typeof wsClient !== 'undefined') {
+  if (canSync(type) && !isSyncingFromServer && hasReceivedInitialState && typeof wsClient !== 'undefined') {
     wsClient.send(type, payload);
   }
 }
 
+// Spectators can look but not touch: disable every input on the page (but
+// the .view-control ones that only change what they see) and label the view
+// as read-only.
+function applyPermissions() {
+  if (isOrganizer) return;
+
+  document.querySelectorAll('.organizer-only').forEach(element => { element.style.display = 'none'; });
+
+  // Scorekeepers only see their own table, so only the controls are locked
+  const scope = tableScope ? '#controls' : '#tournament-page';
+  document.querySelectorAll(`${scope} input, ${scope} textarea, ${scope} select`)
+    .forEach(input => { if (!input.classList.contains('view-control')) input.disabled = true; });
+
+  if (!tableScope && !document.getElementById('read-only-banner')) {
+    const banner = document.createElement('div');
+    banner.id = 'read-only-banner';
+    banner.textContent = 'Spectator view: this tournament is read-only.';
+    const title = document.querySelector('#controls > h1');
+    if (title) title.parentNode.insertBefore(banner, title.nextSibling);
+  }
+}
+
 // Check and warn if player count doesn't match
 function checkPlayerCount() {
-  const expectedCount = groups * ofSize;
+  const expectedCount = numPlayers;
   const actualCount = playerNames.filter(name => name.trim() !== '').length;
 
   let warningDiv = document.getElementById('player-count-warning');
@@ -93,7 +165,7 @@ function checkPlayerCount() {
       const textarea = document.getElementById('playerNames');
       textarea.parentNode.appendChild(warningDiv);
     }
-    warningDiv.textContent = `Warning: You have ${actualCount} names but need ${expectedCount} players (${groups} groups × ${ofSize} players)`;
+    warningDiv.textContent = `Warning: You have ${actualCount} names but need ${expectedCount} players (${describeLayout(currentLayout())})`;
   } else if (warningDiv) {
     warningDiv.remove();
   }
@@ -110,14 +182,39 @@ function lockConfigFields() {
     configDisplay.innerHTML = `
       <h2 style="color: #b22222; margin-top: 0; margin-bottom: 20px; text-align: center;">Tournament Configuration</h2>
       <div style="display: flex; gap: 20px; justify-content: center;">
-        <div><strong>Number of Groups:</strong> ${groups}</div>
-        <div><strong>Players per Group:</strong> ${ofSize}</div>
+        <div><strong>Number of Players:</strong> ${numPlayers - withdrawnPlayers.length}${withdrawnPlayers.length > 0 ? ` (${withdrawnPlayers.length} withdrew)` : ''}</div>
+        <div><strong>Tables:</strong> ${describeLayout(currentLayout())}</div>
         <div><strong>Number of Rounds:</strong> ${forRounds}</div>
+        <div><strong>Seating:</strong> ${seatingMode === 'swiss' ? 'Swiss (by standings)' : 'All rounds up front'}</div>
+        <div><strong>Search:</strong> ${strategy === 'exact' ? `Thorough (up to ${timeBudget} s)` : 'Quick'}</div>
+        ${seed ? '<div><strong>Seed:</strong> <span class="seed"></span></div>' : ''}
       </div>
       <div style="margin-top: 20px; text-align: center;">
         <button id="tournament-timer-btn" class="tournament-timer-button">⏱️ Open Tournament Timer</button>
       </div>
     `;
+    // The seed is whatever the organizer typed, so don't treat it as HTML
+    if (seed) configDisplay.querySelector('.seed').textContent = seed;
+
+    // Give the organizer links to share: a read-only one for everybody and
+    // a private one for co-organizers or a second device
+    if (isOrganizer) {
+      const tournamentHash = parseTournamentRoute().tournamentHash;
+      const baseUrl = `${window.location.origin}${window.location.pathname}#${tournamentHash}`;
+      const links = document.createElement('div');
+      links.className = 'share-links';
+      links.innerHTML = `
+        <div><strong>Spectator link:</strong> <input type="text" readonly></div>
+        <div><strong>Organizer link (keep private):</strong> <input type="text" readonly></div>
+      `;
+      const [spectatorInput, organizerInput] = links.querySelectorAll('input');
+      spectatorInput.value = baseUrl;
+      organizerInput.value = `${baseUrl}/organizer/${getOrganizerSecret(tournamentHash)}`;
+      links.querySelectorAll('input').forEach(input => {
+        input.onfocus = () => input.select();
+      });
+      configDisplay.appendChild(links);
+    }
 
     // Insert after the h1 title
     const title = document.querySelector('#controls > h1');
@@ -129,7 +226,7 @@ function lockConfigFields() {
     const tournamentTimerBtn = document.getElementById('tournament-timer-btn');
     if (tournamentTimerBtn) {
       tournamentTimerBtn.onclick = () => {
-        const tournamentHash = window.location.hash.substring(1);
+        const tournamentHash = parseTournamentRoute().tournamentHash;
         const url = `${window.location.origin}${window.location.pathname}#${tournamentHash}/timer/tournament`;
         window.open(url, '_blank', 'width=800,height=600');
       };
@@ -142,17 +239,47 @@ const scoreBoard = document.getElementById('scoreBoard');
 function updateScoreboard() {
   const scoreBoard = document.getElementById('scoreBoard');
   scoreBoard.innerHTML = '';
-  const sortedScores = Object.entries(finalScores).sort((a, b) => b[1] - a[1]);
+
+  // Standings stay provisional until every table's scores balance
+  if (lastResults) {
+    const { unbalancedCount } = validateTables(lastResults.rounds, textFieldRefs, readScoringRules());
+    if (unbalancedCount > 0) {
+      const note = document.createElement('div');
+      note.classList.add('provisional-note');
+      note.textContent = `Provisional: ${unbalancedCount} table(s) missing scores or not balancing`;
+      scoreBoard.appendChild(note);
+    }
+  }
+
+  // Players level on points are ordered by the tiebreakers
+  const rules = readScoringRules();
+  const records = gameRecords(textFieldRefs, rules, lastResults ? lastResults.rounds : []);
+  const standings = rankStandings(finalScores, records, tiebreakers);
   const ul = document.createElement('ul');
-  sortedScores.forEach(([person, score], index) => {
+  standings.forEach(({ person, score, place: placeNumber, decidedBy }, index) => {
     const li = document.createElement('li');
     li.classList.add('player-item');
     var personNumberNested = person.replace('person-', '');
-    const place = getOrdinalSuffix(index + 1);
+    const sharedPlace = standings.some((other, j) => j !== index && other.place === placeNumber);
+    const place = `${sharedPlace ? '=' : ''}${getOrdinalSuffix(placeNumber)}`;
     
-    // Create text node for the placement and score
-    const textNode = document.createTextNode(`${place}:   ${playerName(personNumberNested)}:   ${score.toFixed(2)} `);
-    li.appendChild(textNode);
+    // Placement and score; the name opens the player's round-by-round breakdown
+    const withdrawn = withdrawnPlayers.includes(parseInt(personNumberNested)) ? ' (withdrawn)' : '';
+    const nameLink = document.createElement('a');
+    nameLink.href = '#';
+    nameLink.className = 'player-link';
+    nameLink.textContent = playerName(personNumberNested);
+    nameLink.onclick = (event) => {
+      event.preventDefault();
+      showPlayerDetail(parseInt(personNumberNested));
+    };
+    li.append(`${place}:   `, nameLink, `${withdrawn}:   ${score.toFixed(2)} `);
+    if (decidedBy) {
+      const tiebreak = document.createElement('span');
+      tiebreak.className = 'tiebreak-note';
+      tiebreak.textContent = `(tiebreak: ${TIEBREAKERS[decidedBy].label.toLowerCase()})`;
+      li.appendChild(tiebreak);
+    }
     
     // Create chombo input field
     const chomboInput = document.createElement('input');
@@ -178,38 +305,201 @@ function updateScoreboard() {
     ul.appendChild(li);
   });
   scoreBoard.appendChild(ul);
+  renderPlayerDetail();
+  renderStandingsChart();
+  applyPermissions();
+}
+
+// Picking the player already shown closes the breakdown
+function showPlayerDetail(player) {
+  detailPlayer = detailPlayer === player ? null : player
+  renderPlayerDetail()
+  renderStandingsChart()
+}
+
+// How the shown player's total came about: a row per round with the table,
+// seat and opponents, the raw score and place, and the uma and oka that
+// turned it into points, then the running total and place after the round
+function renderPlayerDetail() {
+  const detail = document.getElementById('playerDetail')
+  detail.innerHTML = ''
+  if (detailPlayer === null || !lastResults) return
+
+  const rules = readScoringRules()
+  const breakdown = playerBreakdown(detailPlayer, textFieldRefs, chomboRefs, rules, lastResults.rounds, lastResults.byes || [], tiebreakers)
+  const heading = document.createElement('h3')
+  heading.textContent = playerName(detailPlayer)
+  const closeButton = document.createElement('button')
+  closeButton.className = 'small-button'
+  closeButton.textContent = 'Close'
+  closeButton.onclick = () => showPlayerDetail(detailPlayer)
+  heading.appendChild(closeButton)
+  detail.appendChild(heading)
+
+  const points = value => value === null ? '' : `${value > 0 ? '+' : ''}${Number(value.toFixed(2))}`
+  const table = document.createElement('table')
+  table.className = 'player-detail-table'
+  const headerRow = table.insertRow()
+  const headings = ['Round', 'Table', 'Seat', 'Opponents', 'Raw score', 'Place', 'Uma', 'Oka', 'Points', 'Total', 'Rank']
+  headings.forEach(text => {
+    const th = document.createElement('th')
+    th.textContent = text
+    headerRow.appendChild(th)
+  })
+  breakdown.rounds.forEach(row => {
+    const tr = table.insertRow()
+    const seated = row.table !== null
+    const cells = [
+      row.round + 1,
+      seated ? row.table + 1 : '',
+      seated ? (windNames[row.opponents.length + 1] || windNames[4])[row.seat] : '',
+      seated ? row.opponents.map(playerName).join(', ') : (row.bye ? 'Sat out' : 'Not seated'),
+      row.score === null ? '' : row.score.toLocaleString(),
+      row.place === null ? '' : getOrdinalSuffix(row.place),
+      points(row.uma),
+      points(row.oka),
+      points(row.points),
+      row.total === null ? '' : row.total.toFixed(2),
+      row.rank === null ? '' : getOrdinalSuffix(row.rank),
+    ]
+    cells.forEach(text => { tr.insertCell().textContent = text })
+  })
+  detail.appendChild(table)
+
+  const notes = document.createElement('div')
+  notes.className = 'help-text'
+  notes.textContent = 'Points are the raw score less the return points, in thousands, plus uma and oka.'
+  if (breakdown.chombos > 0) {
+    notes.textContent += ` Chombo × ${breakdown.chombos}: ${points(breakdown.chomboPoints)}, taken off after the latest round with scores.`
+  }
+  detail.appendChild(notes)
+}
+
+// Scoring rule inputs, keyed by the name the server stores them under
+const RULE_FIELD_IDS = {
+  startingPoints: 'starting_points',
+  returnPoints: 'returnPointsField',
+  uma1: 'uma1',
+  uma2: 'uma2',
+  uma3: 'uma3',
+  uma4: 'uma4',
+  chomboValue: 'chomboField',
+  chomboStyle: 'chomboStyleField',
+  tiePolicy: 'tiePolicyField',
+  sanmaStartingPoints: 'sanma_starting_points',
+  sanmaReturnPoints: 'sanmaReturnPointsField',
+  sanmaUma1: 'sanmaUma1',
+  sanmaUma2: 'sanmaUma2',
+  sanmaUma3: 'sanmaUma3',
+  byeScore: 'byeScoreField',
+};
+const NUMERIC_RULE_FIELDS = [
+  'startingPoints', 'returnPoints', 'uma1', 'uma2', 'uma3', 'uma4', 'chomboValue',
+  'sanmaStartingPoints', 'sanmaReturnPoints', 'sanmaUma1', 'sanmaUma2', 'sanmaUma3', 'byeScore',
+];
+
+// Rule presets the organizer saved for this tournament, by name
+let customPresets = {};
+
+function readRuleFields() {
+  const values = {};
+  for (const [key, id] of Object.entries(RULE_FIELD_IDS)) {
+    values[key] = document.getElementById(id).value;
+  }
+  return values;
+}
+
+function writeRuleFields(values) {
+  for (const [key, id] of Object.entries(RULE_FIELD_IDS)) {
+    if (values[key] !== undefined && values[key] !== null) {
+      document.getElementById(id).value = values[key];
+    }
+  }
+}
+
+// Fill the preset picker with the built-in presets, the organizer's saved
+// ones (prefixed "saved:") and a catch-all "Custom" for hand-edited rules
+function renderPresetOptions(selected) {
+  const select = document.getElementById('rulePresetField');
+  select.innerHTML = '';
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+  Object.entries(RULE_PRESETS).forEach(([name, preset]) => addOption(name, preset.label));
+  Object.keys(customPresets).forEach(name => addOption(`saved:${name}`, `${name} (saved)`));
+  addOption('custom', 'Custom');
+  select.value = selected;
+  if (select.value !== selected) select.value = 'custom';
+}
+
+// The table sizes and byes per round for this tournament's player count
+function currentLayout() {
+  return tableLayoutFor({ groups, ofSize, numPlayers, tableMode, withdrawnPlayers });
+}
+
+// Only show the sanma rule fields when the tournament has three-player
+// tables, and the bye score when somebody sits out each round
+function updateRuleFieldVisibility() {
+  const layout = currentLayout();
+  document.querySelector('.sanma-rules').style.display = layout.tableSizes.includes(3) ? '' : 'none';
+  document.querySelector('.bye-rules').style.display = layout.byes > 0 ? '' : 'none';
+}
+
+function findPreset(presetName) {
+  if (presetName.startsWith('saved:')) return customPresets[presetName.slice('saved:'.length)];
+  return RULE_PRESETS[presetName];
+}
+
+function onRulesChanged() {
+  finalScores = {};
+  calculateValues();
+  updateScoreboard();
+  updateTableBalance();
+}
+
+function applyRulePreset(presetName) {
+  const preset = findPreset(presetName);
+  if (!preset) return;
+
+  // The bye score belongs to the event, not the preset (presets saved before
+  // it was left out still have one)
+  const fields = rulesToFields(preset);
+  delete fields.byeScore;
+  writeRuleFields(fields);
+  onRulesChanged();
+  syncStateToServer('UPDATE_CONFIG', { ...fields, rulePreset: presetName });
+}
+
+function saveCustomPreset() {
+  const name = (prompt('Name for this rule preset:') || '').trim();
+  if (!name) return;
+
+  // Like the built-in presets, saved ones leave the bye score to the event
+  const preset = normalizeRules(readRuleFields());
+  delete preset.byeScore;
+  customPresets[name] = preset;
+  renderPresetOptions(`saved:${name}`);
+  syncStateToServer('UPDATE_CONFIG', { customPresets, rulePreset: `saved:${name}` });
 }
 
 function updateScoresImmediately() {
-  const okaField = document.getElementById('okaField');
-  const uma1Field = document.getElementById('uma1');
-  const uma2Field = document.getElementById('uma2');
-  const uma3Field = document.getElementById('uma3');
-  const uma4Field = document.getElementById('uma4');
-  const startingPointsField = document.getElementById('starting_points');
-  const chomboField = document.getElementById('chomboField');
-
-  const oka = okaField ? parseFloat(okaField.value) : null;
-  const uma1 = uma1Field ? parseFloat(uma1Field.value) : null;
-  const uma2 = uma2Field ? parseFloat(uma2Field.value) : null;
-  const uma3 = uma3Field ? parseFloat(uma3Field.value) : null;
-  const uma4 = uma4Field ? parseFloat(uma4Field.value) : null;
-  const startingPoints = startingPointsField ? parseFloat(startingPointsField.value) : null;
-  const chomboValue = chomboField ? parseFloat(chomboField.value) : null;
-
-  // Only update if all non-null values are valid numbers (allows typing "-" without it disappearing)
-  const hasInvalidValue = [oka, uma1, uma2, uma3, uma4, startingPoints, chomboValue]
-    .some(val => val !== null && isNaN(val));
+  const values = readRuleFields();
 
-  if (!hasInvalidValue) {
-    finalScores = {};
-    calculateValues();
-    updateScoreboard();
+  // Only update if all numeric values are valid numbers (allows typing "-" without it disappearing)
+  const hasInvalidValue = NUMERIC_RULE_FIELDS.some(key => isNaN(parseFloat(values[key])));
 
-    // WebSocket sync - send current Uma/Oka config
-    syncStateToServer('UPDATE_CONFIG', {
-      oka, uma1, uma2, uma3, uma4, startingPoints, chomboValue
-    });
+  if (!hasInvalidValue) {
+    // Editing any field by hand means the rules no longer match a preset
+    document.getElementById('rulePresetField').value = 'custom';
+    onRulesChanged();
+
+    // WebSocket sync - send current scoring rules
+    const config = { ...values, rulePreset: 'custom' };
+    NUMERIC_RULE_FIELDS.forEach(key => { config[key] = parseFloat(values[key]); });
+    syncStateToServer('UPDATE_CONFIG', config);
   }
 }
 
@@ -218,15 +508,13 @@ function updateScoresImmediately() {
 // and calling for an initial solution.
 function init() {
   // Extract tournament hash from URL
-  const tournamentHash = window.location.hash.substring(1); // Remove the '#' prefix
+  const tournamentHash = parseTournamentRoute().tournamentHash;
   if (!tournamentHash) {
     alert('No tournament ID found in URL. Please access the tournament via the home page.');
     window.location.href = '/';
     return;
   }
 
-  myWorker.addEventListener('message', onResults, false);
-
   controlsDiv = document.getElementById('controls')
   resultsDiv = document.getElementById('results')
   helpDivs = document.querySelectorAll('.help-text')
@@ -247,23 +535,23 @@ function init() {
   controls.forbiddenPairs.onchange = onForbiddenPairsChanged
   controls.discouragedGroups.onchange = onDiscouragedGroupsChanged
 
-  // Add immediate update listeners for Oka, Uma, and Chombo fields
-  const okaField = document.getElementById('okaField')
-  const uma1Field = document.getElementById('uma1')
-  const uma2Field = document.getElementById('uma2')
-  const uma3Field = document.getElementById('uma3')
-  const uma4Field = document.getElementById('uma4')
-  const startingPointsField = document.getElementById('starting_points')
-  const chomboField = document.getElementById('chomboField')
-
-
-  if (okaField) okaField.addEventListener('input', updateScoresImmediately)
-  if (uma1Field) uma1Field.addEventListener('input', updateScoresImmediately)
-  if (uma2Field) uma2Field.addEventListener('input', updateScoresImmediately)
-  if (uma3Field) uma3Field.addEventListener('input', updateScoresImmediately)
-  if (uma4Field) uma4Field.addEventListener('input', updateScoresImmediately)
-  if (startingPointsField) startingPointsField.addEventListener('input', updateScoresImmediately)
-  if (chomboField) chomboField.addEventListener('input', updateScoresImmediately)
+  // Recalculate immediately whenever a scoring rule changes
+  Object.values(RULE_FIELD_IDS).forEach(id => {
+    document.getElementById(id).addEventListener('input', updateScoresImmediately)
+  })
+  renderPresetOptions('house')
+  document.getElementById('rulePresetField').onchange = (e) => applyRulePreset(e.target.value)
+  document.getElementById('savePresetBtn').onclick = saveCustomPreset
+  document.getElementById('addPlayerBtn').onclick = addLatePlayer
+  document.getElementById('withdrawPlayerBtn').onclick = withdrawPlayer
+  document.getElementById('addTableRuleBtn').onclick = addTableRule
+  Object.values(SOLVER_TUNING_FIELD_IDS).forEach(id => {
+    document.getElementById(id).onchange = onSolverTuningChanged
+  })
+  document.getElementById('balanceTablesField').onchange = (e) => {
+    balanceTables = e.target.checked
+    syncStateToServer('UPDATE_CONFIG', { balanceTables })
+  }
 
   playerNames = readPlayerNames()
   readConstraints(playerNames)
@@ -276,27 +564,19 @@ function init() {
   setupWebSocketSync(tournamentHash);
 }
 
-function onResults(e) {
-  lastResults = e.data
-  renderResults()
-  if (lastResults.done) {
-    enableControls()
-
-    // WebSocket sync - broadcast tournament results to all clients
-    syncStateToServer('UPDATE_RESULTS', { results: lastResults });
-  }
-}
-
 function recomputeResultsWrapper() {
 	const scoreBoard = document.getElementById('scoreBoard');
 	if(scoreBoard.innerHTML.trim() !== "") {
-	const userConfirmed = confirm("Are you sure you want to restart the tournament? This will erase all scores and data.");
+	const userConfirmed = confirm(keptRounds() > 0
+		? `Are you sure you want to re-seat rounds ${keptRounds() + 1} to ${forRounds}? Locked rounds and their scores are kept; everything after them is erased.`
+		: "Are you sure you want to restart the tournament? This will erase all scores and data.");
 
 	
 
     if (userConfirmed) {
-        // Proceed with recomputing if user clicked OK
-        recomputeResults();  // Assuming you already have a function named recompute
+        // Proceed with recomputing if user clicked OK; re-seating by hand
+        // asks for a new draw
+        recomputeResults({ newSeed: true });
     } else {
         // Prevent default button behavior if the user cancels
         event.preventDefault();
@@ -304,69 +584,321 @@ function recomputeResultsWrapper() {
 	}
 	else
 	{
-		recomputeResults();
+		recomputeResults({ newSeed: true });
 	}
 
 }
 
-function recomputeResults() {
+// seedChoice is {seed} to seat from the given seed or {newSeed: true} for a
+// new draw; without either the tournament's seed is kept
+function recomputeResults(seedChoice = {}) {
   startTime = Date.now();
-  lastResults = null;
+  if (keptRounds() > 0) {
+    keepFirstRounds(keptRounds())
+  } else {
+    lastResults = null;
 
-  const scoreBoard = document.getElementById('scoreBoard');
-  scoreBoard.innerHTML = null
+    const scoreBoard = document.getElementById('scoreBoard');
+    scoreBoard.innerHTML = null
 
-  textFieldRefs = {}
+    textFieldRefs = {}
+  }
   renderResults()
   disableControls()
-  myWorker.postMessage({groups, ofSize, forRounds, forbiddenPairs: forbiddenPairs.toJS(), discouragedGroups: discouragedGroups.toJS()})
 
-  // WebSocket sync - notify all clients tournament is being recomputed
+  // WebSocket sync - the server clears the tournament, seats it and streams
+  // the rounds back to every client as they're computed
   syncStateToServer('RECOMPUTE_TOURNAMENT', {
-    config: { groups, ofSize, forRounds, playerNames, forbiddenPairs: forbiddenPairs.toJS(), discouragedGroups: discouragedGroups.toJS() }
+    ...seedChoice,
+    config: { groups, ofSize, forRounds, playerNames, forbiddenPairs, discouragedGroups }
   });
 }
 
 
+// Swiss seating: seat one more round, keeping every round seated so far
+function seatNextRound() {
+  if (!lastResults || lastResults.rounds.length >= forRounds) return
+
+  const lastRound = lastResults.rounds.length - 1
+  const { tables } = validateTables(lastResults.rounds, textFieldRefs, readScoringRules())
+  const unfinished = Object.keys(tables)
+    .filter(key => key.startsWith(`round-${lastRound}-`) && !tables[key].balanced)
+  if (seatingMode === 'swiss' && unfinished.length > 0 && !confirm(`${unfinished.length} table(s) in round ${lastRound + 1} are missing scores or don't balance. Seat the next round anyway?`)) {
+    return
+  }
+
+  startTime = Date.now()
+  disableControls()
+  syncStateToServer('SEAT_NEXT_ROUND', {})
+}
+
+// How many rounds have been (or are being) played: everything up to the
+// last round that has a score entered
+function playedRounds() {
+  if (!lastResults) return 0
+  let played = 0
+  lastResults.rounds.forEach((_, roundIndex) => {
+    if (roundHasScores(textFieldRefs, roundIndex)) played = roundIndex + 1
+  })
+  return played
+}
+
+// How many locked rounds re-seating the tournament keeps
+function keptRounds() {
+  return lastResults ? Math.min(lockedRounds, lastResults.rounds.length) : 0
+}
+
+// Drop every round from keepRounds on, and the scores and hand logs entered for them
+function keepFirstRounds(keepRounds) {
+  lastResults = {
+    ...lastResults,
+    rounds: lastResults.rounds.slice(0, keepRounds),
+    roundScores: lastResults.roundScores.slice(0, keepRounds),
+    seatScores: (lastResults.seatScores || []).slice(0, keepRounds),
+    tableRepeats: (lastResults.tableRepeats || []).slice(0, keepRounds),
+    byes: (lastResults.byes || []).slice(0, keepRounds),
+    done: false,
+  }
+  for (const refs of [textFieldRefs, handLogs, supersededHandLogs]) {
+    Object.keys(refs).forEach(key => {
+      const match = /^round-(\d+)-/.exec(key)
+      if (match && parseInt(match[1]) >= keepRounds) delete refs[key]
+    })
+  }
+}
+
+// Locking a round also locks every round before it, and unlocking one
+// unlocks every round after it
+function toggleRoundLock(roundIndex) {
+  syncStateToServer('LOCK_ROUNDS', { lockedRounds: roundIndex < lockedRounds ? roundIndex : roundIndex + 1 })
+}
+
+// Every tiebreaker, the ones in use first and in order. Organizers tick the
+// ones to use and move them up or down.
+function renderTiebreakers() {
+  const list = document.getElementById('tiebreakerList')
+  list.innerHTML = ''
+  const unused = Object.keys(TIEBREAKERS).filter(key => !tiebreakers.includes(key))
+  tiebreakers.concat(unused).forEach(key => {
+    const used = tiebreakers.includes(key)
+    const index = tiebreakers.indexOf(key)
+    const item = document.createElement('li')
+    item.classList.toggle('unused', !used)
+
+    const checkbox = document.createElement('input')
+    checkbox.type = 'checkbox'
+    checkbox.checked = used
+    checkbox.onchange = () => {
+      onTiebreakersChanged(used ? tiebreakers.filter(other => other !== key) : tiebreakers.concat([key]))
+    }
+    const label = document.createElement('label')
+    label.append(checkbox, ` ${TIEBREAKERS[key].label} `)
+    item.appendChild(label)
+
+    if (used) {
+      const move = (offset, text) => {
+        const button = document.createElement('button')
+        button.type = 'button'
+        button.className = 'small-button organizer-only'
+        button.textContent = text
+        button.disabled = !tiebreakers[index + offset]
+        button.onclick = () => {
+          const reordered = tiebreakers.slice()
+          reordered[index] = tiebreakers[index + offset]
+          reordered[index + offset] = key
+          onTiebreakersChanged(reordered)
+        }
+        return button
+      }
+      item.append(move(-1, '↑'), move(1, '↓'))
+    }
+    list.appendChild(item)
+  })
+  applyPermissions()
+}
+
+function onTiebreakersChanged(updated) {
+  tiebreakers = updated
+  renderTiebreakers()
+  updateScoreboard()
+  syncStateToServer('UPDATE_CONFIG', { tiebreakers })
+}
+
+// Fields for the organizer's solver settings, by geneticSolver option
+const SOLVER_TUNING_FIELD_IDS = {
+  generations: 'generationsField',
+  randomMutations: 'randomMutationsField',
+  maxDescendants: 'maxDescendantsField',
+}
+
+function renderSolverTuning() {
+  Object.entries(SOLVER_TUNING_FIELD_IDS).forEach(([key, id]) => {
+    document.getElementById(id).value = solverTuning[key] !== undefined ? solverTuning[key] : ''
+  })
+}
+
+function onSolverTuningChanged() {
+  solverTuning = {}
+  Object.entries(SOLVER_TUNING_FIELD_IDS).forEach(([key, id]) => {
+    const value = parseInt(document.getElementById(id).value)
+    if (!isNaN(value)) solverTuning[key] = value
+  })
+  syncStateToServer('UPDATE_CONFIG', { solverTuning })
+}
+
+// Show the table rules as editable rows. Tables are numbered from 1 on
+// screen and from 0 in the rules.
+function renderTableRules() {
+  document.getElementById('balanceTablesField').checked = balanceTables
+  const list = document.getElementById('tableRulesList')
+  list.innerHTML = ''
+  tableRules.forEach((rule, i) => {
+    const row = document.createElement('div')
+    row.classList.add('table-rule')
+    row.innerHTML = `
+      Table <input type="number" class="table-rule-table" min="1">
+      <input type="text" class="table-rule-label" placeholder="Name, e.g. Stream table">
+      Top <input type="number" class="table-rule-top" min="0"> players
+      <button type="button" class="small-button organizer-only">Remove</button>
+    `
+    row.querySelector('.table-rule-table').value = rule.table + 1
+    row.querySelector('.table-rule-label').value = rule.label || ''
+    row.querySelector('.table-rule-top').value = rule.top || 0
+    row.querySelectorAll('input').forEach(input => {
+      input.onchange = () => {
+        tableRules[i] = {
+          table: Math.max(0, (parseInt(row.querySelector('.table-rule-table').value, 10) || 1) - 1),
+          label: row.querySelector('.table-rule-label').value.trim(),
+          top: Math.max(0, parseInt(row.querySelector('.table-rule-top').value, 10) || 0),
+        }
+        onTableRulesChanged()
+      }
+    })
+    row.querySelector('button').onclick = () => {
+      tableRules.splice(i, 1)
+      onTableRulesChanged()
+    }
+    list.appendChild(row)
+  })
+}
+
+function onTableRulesChanged() {
+  renderTableRules()
+  renderResults()
+  syncStateToServer('UPDATE_CONFIG', { tableRules })
+}
+
+function addTableRule() {
+  tableRules.push({ table: 0, label: '', top: 0 })
+  onTableRulesChanged()
+}
+
+function tableLabel(tableIndex) {
+  const rule = tableRules.find(rule => rule.table === tableIndex && rule.label)
+  return rule ? rule.label : ''
+}
+
+// Add or withdraw players between rounds. Rounds that have scores or are
+// locked are kept along with their scores; the server re-seats the rest with
+// the new roster.
+function changeRoster(update) {
+  const keepRounds = Math.max(playedRounds(), keptRounds())
+  // Swiss tournaments only re-seat the rounds that were already seated
+  const targetRounds = lastResults && seatingMode === 'swiss' ? lastResults.rounds.length : forRounds
+  const regenerate = lastResults !== null && lastResults !== undefined && keepRounds < targetRounds
+  if (regenerate && !confirm(`Re-seat rounds ${keepRounds + 1} to ${targetRounds}? Scores already entered are kept.`)) {
+    return
+  }
+
+  const payload = {
+    playerNames: update.playerNames || playerNames,
+    numPlayers: update.numPlayers || numPlayers,
+    withdrawnPlayers: update.withdrawnPlayers || withdrawnPlayers,
+  }
+  if (regenerate) {
+    payload.keepRounds = keepRounds
+    startTime = Date.now()
+  }
+  syncStateToServer('UPDATE_ROSTER', payload)
+}
+
+function addLatePlayer() {
+  const input = document.getElementById('newPlayerName')
+  const name = input.value.trim()
+  if (!name) return
+
+  const names = []
+  for (let i = 0; i < numPlayers; i++) names.push(playerName(i))
+  changeRoster({ playerNames: [...names, name], numPlayers: numPlayers + 1 })
+  input.value = ''
+}
+
+function withdrawPlayer() {
+  const person = parseInt(document.getElementById('withdrawPlayerSelect').value, 10)
+  if (isNaN(person)) return
+  changeRoster({ withdrawnPlayers: [...withdrawnPlayers, person] })
+}
+
+// List the players who can still withdraw
+function renderRosterControls() {
+  const select = document.getElementById('withdrawPlayerSelect')
+  select.innerHTML = ''
+  for (let i = 0; i < numPlayers; i++) {
+    if (withdrawnPlayers.includes(i)) continue
+    const option = document.createElement('option')
+    option.value = i
+    option.textContent = playerName(i)
+    select.appendChild(option)
+  }
+}
+
 // Setup WebSocket synchronization
 function setupWebSocketSync(tournamentHash) {
   // Handler for full state sync
   wsClient.on('FULL_STATE', (message) => {
     isSyncingFromServer = true;
     const state = message.state;
+    isOrganizer = message.role === 'organizer';
+    tableScope = message.tableScope || null;
+    document.getElementById('tournament-page').classList.toggle('table-entry-view', tableScope !== null);
 
     // Apply server state (config is always present, results may be null if isEmpty=true)
     console.log('Applying server state, isEmpty:', state.isEmpty);
     groups = state.config.groups;
     ofSize = state.config.ofSize;
+    numPlayers = state.config.numPlayers || groups * ofSize;
+    tableMode = state.config.tableMode || 'byes';
+    withdrawnPlayers = state.config.withdrawnPlayers || [];
+    seatingMode = state.config.seatingMode || 'fixed';
+    seed = state.config.seed || null;
+    strategy = state.config.strategy || 'genetic';
+    timeBudget = state.config.timeBudget || null;
+    balanceTables = state.balanceTables === true;
+    tableRules = state.tableRules || [];
+    renderTableRules();
+    solverTuning = state.solverTuning || {};
+    renderSolverTuning();
+    tiebreakers = normalizeTiebreakers(state.tiebreakers);
+    renderTiebreakers();
+    lockedRounds = state.lockedRounds || 0;
     forRounds = state.config.forRounds;
     playerNames = state.config.playerNames;
-    forbiddenPairs = Immutable.Set(state.config.forbiddenPairs);
-    discouragedGroups = Immutable.Set(state.config.discouragedGroups);
+    forbiddenPairs = state.config.forbiddenPairs || [];
+    discouragedGroups = state.config.discouragedGroups || [];
     lastResults = state.lastResults;
     textFieldRefs = state.textFieldRefs;
     chomboRefs = state.chomboRefs;
+    handLogs = state.handLogs || {};
+    supersededHandLogs = state.supersededHandLogs || {};
 
     // Update UI to reflect state
     controls.playerNames.value = playerNames.join('\n');
     checkPlayerCount();
 
-    // Update Uma/Oka fields if they exist
-    const okaField = document.getElementById('okaField');
-    const uma1Field = document.getElementById('uma1');
-    const uma2Field = document.getElementById('uma2');
-    const uma3Field = document.getElementById('uma3');
-    const uma4Field = document.getElementById('uma4');
-    const startingPointsField = document.getElementById('starting_points');
-    const chomboField = document.getElementById('chomboField');
-
-    if (okaField && state.oka !== null) okaField.value = state.oka;
-    if (uma1Field && state.uma1 !== null) uma1Field.value = state.uma1;
-    if (uma2Field && state.uma2 !== null) uma2Field.value = state.uma2;
-    if (uma3Field && state.uma3 !== null) uma3Field.value = state.uma3;
-    if (uma4Field && state.uma4 !== null) uma4Field.value = state.uma4;
-    if (startingPointsField && state.startingPoints !== null) startingPointsField.value = state.startingPoints;
-    if (chomboField && state.chomboValue !== null) chomboField.value = state.chomboValue;
+    // Update scoring rule fields; tournaments that never changed them get the defaults
+    customPresets = state.customPresets || {};
+    writeRuleFields(rulesToFields(normalizeRules(state)));
+    renderPresetOptions(state.rulePreset || (state.startingPoints === null ? 'house' : 'custom'));
 
     // Re-render if we have results
     if (lastResults) {
@@ -375,7 +907,7 @@ function setupWebSocketSync(tournamentHash) {
       finalScores = {};
       calculateValues();
       updateScoreboard();
-    } else if (state.isEmpty) {
+    } else if (state.isEmpty && isOrganizer) {
       // If tournament has never been started, auto-start it
       console.log('Tournament is empty, auto-starting...');
       setTimeout(() => {
@@ -387,6 +919,9 @@ function setupWebSocketSync(tournamentHash) {
 
     // Lock config fields since tournament config is immutable
     lockConfigFields();
+    updateRuleFieldVisibility();
+    renderRosterControls();
+    applyPermissions();
 
     hasReceivedInitialState = true;
     isSyncingFromServer = false;
@@ -408,6 +943,7 @@ function setupWebSocketSync(tournamentHash) {
     finalScores = {};
     calculateValues();
     updateScoreboard();
+    updateTableBalance();
     isSyncingFromServer = false;
   });
 
@@ -439,30 +975,33 @@ function setupWebSocketSync(tournamentHash) {
     if (payload.groups !== undefined) groups = payload.groups;
     if (payload.ofSize !== undefined) ofSize = payload.ofSize;
     if (payload.forRounds !== undefined) forRounds = payload.forRounds;
+    updateRuleFieldVisibility();
 
-    // Update Uma/Oka fields if they're in the payload
-    const okaField = document.getElementById('okaField');
-    const uma1Field = document.getElementById('uma1');
-    const uma2Field = document.getElementById('uma2');
-    const uma3Field = document.getElementById('uma3');
-    const uma4Field = document.getElementById('uma4');
-    const startingPointsField = document.getElementById('starting_points');
-    const chomboField = document.getElementById('chomboField');
-
-    if (okaField && payload.oka !== undefined) okaField.value = payload.oka;
-    if (uma1Field && payload.uma1 !== undefined) uma1Field.value = payload.uma1;
-    if (uma2Field && payload.uma2 !== undefined) uma2Field.value = payload.uma2;
-    if (uma3Field && payload.uma3 !== undefined) uma3Field.value = payload.uma3;
-    if (uma4Field && payload.uma4 !== undefined) uma4Field.value = payload.uma4;
-    if (startingPointsField && payload.startingPoints !== undefined) startingPointsField.value = payload.startingPoints;
-    if (chomboField && payload.chomboValue !== undefined) chomboField.value = payload.chomboValue;
-
-    // Recalculate scores if Uma/Oka changed
-    if (payload.oka !== undefined || payload.uma1 !== undefined || payload.uma2 !== undefined ||
-        payload.uma3 !== undefined || payload.uma4 !== undefined || payload.startingPoints !== undefined ||
-        payload.chomboValue !== undefined) {
-      finalScores = {};
-      calculateValues();
+    // Update scoring rule fields if they're in the payload
+    writeRuleFields(payload);
+    if (payload.customPresets !== undefined) customPresets = payload.customPresets;
+    if (payload.rulePreset !== undefined || payload.customPresets !== undefined) {
+      renderPresetOptions(payload.rulePreset || document.getElementById('rulePresetField').value);
+    }
+
+    // Recalculate scores if the rules changed
+    if (Object.keys(RULE_FIELD_IDS).some(key => payload[key] !== undefined)) {
+      onRulesChanged();
+    }
+
+    if (payload.balanceTables !== undefined) balanceTables = payload.balanceTables;
+    if (payload.tableRules !== undefined) tableRules = payload.tableRules;
+    if (payload.balanceTables !== undefined || payload.tableRules !== undefined) {
+      renderTableRules();
+      renderResults();
+    }
+    if (payload.solverTuning !== undefined) {
+      solverTuning = payload.solverTuning;
+      renderSolverTuning();
+    }
+    if (payload.tiebreakers !== undefined) {
+      tiebreakers = normalizeTiebreakers(payload.tiebreakers);
+      renderTiebreakers();
       updateScoreboard();
     }
 
@@ -475,15 +1014,56 @@ function setupWebSocketSync(tournamentHash) {
     playerNames = message.payload.playerNames;
     controls.playerNames.value = playerNames.join('\n');
     readConstraints(playerNames);
+    renderRosterControls();
+    isSyncingFromServer = false;
+  });
+
+  // Handler for players joining or withdrawing between rounds
+  wsClient.on('ROSTER_UPDATED', (message) => {
+    isSyncingFromServer = true;
+    const payload = message.payload;
+    playerNames = payload.playerNames;
+    numPlayers = payload.numPlayers;
+    withdrawnPlayers = payload.withdrawnPlayers;
+    controls.playerNames.value = playerNames.join('\n');
+    readConstraints(playerNames);
+    checkPlayerCount();
+
+    // Drop the rounds that are about to be re-seated, like the server did
+    if (lastResults && payload.keepRounds !== undefined) keepFirstRounds(payload.keepRounds);
+
+    const configDisplay = document.getElementById('config-display');
+    if (configDisplay) configDisplay.remove();
+    lockConfigFields();
+    updateRuleFieldVisibility();
+    renderRosterControls();
+    renderResults();
+    finalScores = {};
+    calculateValues();
+    updateScoreboard();
     isSyncingFromServer = false;
   });
 
   // Handler for tournament recompute
   wsClient.on('TOURNAMENT_RECOMPUTED', (message) => {
     isSyncingFromServer = true;
-    lastResults = null;
-    textFieldRefs = {};
-    chomboRefs = {};
+    // Locked rounds and their scores are kept, like the server did
+    lockedRounds = message.payload.lockedRounds || 0;
+    // The re-seated rounds may be drawn from a new seed
+    if (message.payload.seed) {
+      seed = message.payload.seed;
+      const seedDisplay = document.querySelector('#config-display .seed');
+      if (seedDisplay) seedDisplay.textContent = seed;
+    }
+    if (lastResults && lockedRounds > 0) {
+      keepFirstRounds(lockedRounds);
+    } else {
+      lastResults = null;
+      textFieldRefs = {};
+      chomboRefs = {};
+      handLogs = {};
+      supersededHandLogs = {};
+    }
     finalScores = {};
 
     const scoreBoard = document.getElementById('scoreBoard');
@@ -499,10 +1079,10 @@ function setupWebSocketSync(tournamentHash) {
         controls.playerNames.value = playerNames.join('\n');
       }
       if (message.payload.config.forbiddenPairs !== undefined) {
-        forbiddenPairs = Immutable.Set(message.payload.config.forbiddenPairs);
+        forbiddenPairs = message.payload.config.forbiddenPairs;
       }
       if (message.payload.config.discouragedGroups !== undefined) {
-        discouragedGroups = Immutable.Set(message.payload.config.discouragedGroups);
+        discouragedGroups = message.payload.config.discouragedGroups;
       }
     }
 
@@ -510,14 +1090,89 @@ function setupWebSocketSync(tournamentHash) {
     isSyncingFromServer = false;
   });
 
-  // Handler for results updates
+  // Handler for results updates, streamed round by round while the server
+  // seats the tournament
   wsClient.on('RESULTS_UPDATED', (message) => {
     isSyncingFromServer = true;
     lastResults = message.payload.results;
+    if (lastResults.done) seatingStatus = null;
+    renderResults();
+    if (lastResults.done) {
+      enableControls();
+    } else {
+      disableControls();
+    }
+    isSyncingFromServer = false;
+  });
+
+  // Handler for a table's hand log; its scores were worked out from the hands
+  wsClient.on('HAND_LOG_UPDATED', (message) => {
+    isSyncingFromServer = true;
+    const { round, table, hands, fields, clearedFieldIds } = message.payload;
+    const tableKey = `round-${round}-table-${table}`;
+    if (hands.length > 0) {
+      handLogs[tableKey] = hands;
+    } else {
+      delete handLogs[tableKey];
+    }
+    Object.assign(textFieldRefs, fields);
+    clearedFieldIds.forEach(fieldId => { delete textFieldRefs[fieldId]; });
+    refreshTableScores(tableKey);
+    finalScores = {};
+    calculateValues();
+    updateScoreboard();
+    updateTableBalance();
+    isSyncingFromServer = false;
+  });
+
+  // Handler for rounds locked or unlocked by the organizer
+  wsClient.on('ROUNDS_LOCKED', (message) => {
+    lockedRounds = message.payload.lockedRounds;
+    swapSelection = null;
     renderResults();
+  });
+
+  // Handler for seats swapped by hand; the moved players' old scores are
+  // gone, and the hand logs of their tables are set aside
+  wsClient.on('SEATS_SWAPPED', (message) => {
+    isSyncingFromServer = true;
+    const { results, clearedFieldIds, supersededHandLogs: setAside } = message.payload;
+    lastResults = results;
+    clearedFieldIds.forEach(fieldId => { delete textFieldRefs[fieldId]; });
+    Object.keys(setAside).forEach(tableKey => { delete handLogs[tableKey]; });
+    Object.assign(supersededHandLogs, setAside);
+    swapSelection = null;
+    renderResults();
+    finalScores = {};
+    calculateValues();
+    updateScoreboard();
     isSyncingFromServer = false;
   });
 
+  // Handler for the solver's status while it's seating
+  wsClient.on('SEATING_STATUS', (message) => {
+    seatingStatus = message.payload.status;
+    if (document.querySelector('.seating-progress')) {
+      updateSeatingProgress();
+    } else {
+      renderResults();
+    }
+  });
+
+  // Handler for the server's authoritative standings
+  wsClient.on('STANDINGS_UPDATED', (message) => {
+    finalScores = message.payload.standings;
+    updateScoreboard();
+  });
+
+  // Handler for scorekeeper links requested by the organizer
+  wsClient.on('TABLE_TOKEN_ISSUED', (message) => {
+    const { round, table, token } = message.payload;
+    const tournamentHash = parseTournamentRoute().tournamentHash;
+    const url = `${window.location.origin}${window.location.pathname}#${tournamentHash}/table/${token}`;
+    window.prompt(`Score entry link for Round ${round + 1}, Table ${table + 1}:`, url);
+  });
+
   // Handler for errors
   wsClient.on('ERROR', (message) => {
     alert('Error: ' + message.error);
@@ -526,8 +1181,9 @@ function setupWebSocketSync(tournamentHash) {
     }
   });
 
-  // Connect WebSocket with tournament hash
-  wsClient.connect(tournamentHash);
+  // Connect WebSocket with tournament hash, proving we're the organizer if
+  // this browser holds the secret
+  wsClient.connect(tournamentHash, getOrganizerSecret(tournamentHash), parseTournamentRoute().tableToken);
 }
 
 function onSliderMoved() {
@@ -603,117 +1259,19 @@ function updateDisplayedNames() {
         if (windMatch) {
           const wind = windMatch[1]
           
-          // Store the current input field properties
-          const inputValue = inputField.value
-          const inputId = inputField.id
-          
-          // Clear the member and rebuild with new name
+          // Clear the member and rebuild with the new name, re-attaching the
+          // same input so its value and listeners survive
           member.innerHTML = ''
-          
-          // Create a text node for the label
-          const labelText = document.createTextNode(`(${wind}) ${playerName(personNumber)}: `)
-          member.appendChild(labelText)
-          
-          // Recreate the input field with the same properties
-          const newInput = document.createElement('input')
-          newInput.type = 'text'
-          newInput.id = inputId
-          newInput.value = inputValue
-          
-          // Copy the event listener logic from the original
-          newInput.addEventListener('input', () => {
-            const currentValue = parseFloat(newInput.value)
-
-            // Only update if it's a valid number (allows typing "-" or "1." without it disappearing)
-            if (!isNaN(currentValue)) {
-              finalScores = {}
-              textFieldRefs[inputId] = currentValue
-              calculateValues()
-
-              const scoreBoard = document.getElementById('scoreBoard')
-              scoreBoard.innerHTML = ''
-              const sortedScores = Object.entries(finalScores).sort((a, b) => b[1] - a[1])
-              const ul = document.createElement('ul')
-              sortedScores.forEach(([person, score], index) => {
-                const li = document.createElement('li')
-                li.classList.add('player-item');
-                var personNumberNested = person.replace('person-', '')
-                const place = getOrdinalSuffix(index + 1)
-
-                const textNode = document.createTextNode(`${place}:   ${playerName(personNumberNested)}:   ${score.toFixed(2)} `);
-                li.appendChild(textNode);
-
-                const chomboInput = document.createElement('input');
-                chomboInput.type = 'number';
-                chomboInput.min = '0';
-                chomboInput.value = chomboRefs[person] || 0;
-                chomboInput.style.width = '50px';
-                chomboInput.style.marginLeft = '10px';
-                chomboInput.placeholder = 'Chombo';
-
-                chomboInput.addEventListener('input', () => {
-                  const chomboCount = parseInt(chomboInput.value) || 0;
-                  chomboRefs[person] = chomboCount;
-                  finalScores = {};
-                  calculateValues();
-                  updateScoreboard();
-
-                  syncStateToServer('UPDATE_CHOMBO', { person, count: chomboCount });
-                });
-
-                li.appendChild(chomboInput);
-                ul.appendChild(li)
-              })
-              scoreBoard.appendChild(ul)
-
-              // WebSocket sync
-              syncStateToServer('UPDATE_TEXT_FIELD', { fieldId: inputId, value: currentValue });
-            }
-          })
-          
-          member.appendChild(newInput)
+          member.appendChild(document.createTextNode(`(${wind}) ${playerName(personNumber)}: `))
+          member.appendChild(inputField)
         }
       }
     }
   })
-  
+
   // Update player names in scoreboard if it exists
   if (Object.keys(finalScores).length > 0) {
-    const scoreBoard = document.getElementById('scoreBoard')
-    scoreBoard.innerHTML = ''
-    const sortedScores = Object.entries(finalScores).sort((a, b) => b[1] - a[1])
-    const ul = document.createElement('ul')
-    sortedScores.forEach(([person, score], index) => {
-      const li = document.createElement('li')
-      li.classList.add('player-item');
-      var personNumberNested = person.replace('person-', '')
-      const place = getOrdinalSuffix(index + 1)
-      
-      // Create text node for the placement and score
-      const textNode = document.createTextNode(`${place}:   ${playerName(personNumberNested)}:   ${score.toFixed(2)} `);
-      li.appendChild(textNode);
-      
-      // Create chombo input field
-      const chomboInput = document.createElement('input');
-      chomboInput.type = 'number';
-      chomboInput.min = '0';
-      chomboInput.value = chomboRefs[person] || 0;
-      chomboInput.style.width = '50px';
-      chomboInput.style.marginLeft = '10px';
-      chomboInput.placeholder = 'Chombo';
-      
-      chomboInput.addEventListener('input', () => {
-        const chomboCount = parseInt(chomboInput.value) || 0;
-        chomboRefs[person] = chomboCount;
-        finalScores = {};
-        calculateValues();
-        updateScoreboard();
-      });
-      
-      li.appendChild(chomboInput);
-      ul.appendChild(li)
-    })
-    scoreBoard.appendChild(ul)
+    updateScoreboard()
   }
 }
 
@@ -765,10 +1323,11 @@ function readConstraints(playerNames) {
  * Given a textarea containing multiple comma-separated lists of player names,
  * where the lists are separated by newlines, returns a set of sets of player
  * ids suitable for passing as a contstraint to the solver.
- * Names not found in the provided playerNames list are ignored.
+ * Names not found in the provided playerNames list are ignored, and so are
+ * repeated names and repeated groups.
  * @param {HTMLTextAreaElement} control
  * @param {Array<string>} playerNames 
- * @returns {Immutable.Set<Immutable.Set<number>>}
+ * @returns {Array<Array<number>>}
  */
 function readGroupConstraintFromControl(control, playerNames) {
   return control.value
@@ -781,15 +1340,17 @@ function readGroupConstraintFromControl(control, playerNames) {
     .filter(group => group.length >= 2)
     // Convert player names to indices
     .reduce((memo, group) => {
-      let groupSet = Immutable.Set()
+      const groupSet = new Set()
       for (const playerName of group) {
         for (const index of indicesOf(playerName, playerNames)) {
-          groupSet = groupSet.add(index)
+          groupSet.add(index)
         }
       }
+      const indices = [...groupSet].sort((a, b) => a - b)
       // Ignore single-member groups, since they don't make useful constraints.
-      return groupSet.size >= 2 ? memo.add(groupSet) : memo;
-    }, Immutable.Set())
+      const isDuplicate = memo.some(other => other.join() === indices.join())
+      return indices.length >= 2 && !isDuplicate ? [...memo, indices] : memo;
+    }, [])
 }
 
 function indicesOf(needle, haystack) {
@@ -809,7 +1370,7 @@ function playerName(i) {
 function downloadCsv() {
   // Pivot results into a table that's easier to work with
   const roundNames = lastResults.rounds.map((_, i) => `Round ${i + 1}`)
-  const playerCount = lastResults.rounds[0].length * lastResults.rounds[0][0].length
+  const playerCount = numPlayers
   
   // Stub out a row for each player
   const players = []
@@ -818,12 +1379,15 @@ function downloadCsv() {
   }
   
   // Fill in assigned groups
-  lastResults.rounds.forEach((round) => {
+  lastResults.rounds.forEach((round, i) => {
     round.forEach((group, j) => {
       group.forEach(playerIndex => {
         players[playerIndex].push(`Group ${j + 1}`)
       })
     })
+    roundByes(i).forEach(playerIndex => {
+      players[playerIndex].push('Bye')
+    })
   })
   
   // Build table
@@ -844,10 +1408,66 @@ function downloadCsv() {
   link.click()
 }
 
+// Players sitting out the given round (older results have no byes)
+function roundByes(roundIndex) {
+  return (lastResults && lastResults.byes && lastResults.byes[roundIndex]) || []
+}
+
+// Shown instead of the summary while the server is seating: a progress bar
+// and, for organizers, a button to stop and keep the rounds seated so far
+function createSeatingProgress() {
+  const progressDiv = document.createElement('div')
+  progressDiv.className = 'seating-progress'
+  const bar = document.createElement('progress')
+  bar.max = 1
+  const text = document.createElement('span')
+  text.className = 'seating-progress-text'
+  progressDiv.append(bar, text)
+
+  if (isOrganizer && !tableScope) {
+    const cancelButton = document.createElement('button')
+    cancelButton.id = 'cancel-seating'
+    cancelButton.className = 'small-button organizer-only'
+    cancelButton.textContent = 'Cancel'
+    cancelButton.onclick = cancelSeating
+    progressDiv.appendChild(cancelButton)
+  }
+  updateSeatingProgress(progressDiv)
+  return progressDiv
+}
+
+function updateSeatingProgress(progressDiv = document.querySelector('.seating-progress')) {
+  if (!progressDiv) return
+  const bar = progressDiv.querySelector('progress')
+  const text = progressDiv.querySelector('.seating-progress-text')
+  const status = seatingStatus
+  if (!status) {
+    bar.removeAttribute('value')
+    text.textContent = 'Thinking...'
+    return
+  }
+  const bestScore = status.bestScore === null ? '∞' : status.bestScore
+  if (status.stage === 'search') {
+    bar.value = status.move / status.moves
+    text.textContent = `Searching for a better schedule (best score so far: ${bestScore})`
+  } else {
+    bar.value = (status.round + status.generation / status.generations) / status.forRounds
+    text.textContent = `Seating round ${status.round + 1} of ${status.forRounds} (best score so far: ${bestScore})`
+  }
+}
+
+function cancelSeating() {
+  if (!confirm('Stop seating? The rounds seated so far are kept, and the rest can be seated later.')) return
+  syncStateToServer('CANCEL_SEATING', {})
+}
+
 function renderResults() {
   resultsDiv.innerHTML = ''
   if (lastResults) {
     lastResults.rounds.forEach((round, roundIndex) => {
+      // Scorekeeper links only show their own table
+      if (tableScope && roundIndex !== tableScope.round) return
+
       const roundDiv = document.createElement('div')
       roundDiv.classList.add('round')
   
@@ -856,115 +1476,143 @@ function renderResults() {
       const conflictScore = document.createElement('div')
       conflictScore.classList.add('conflictScore')
       conflictScore.textContent = `Conflict score: ${lastResults.roundScores[roundIndex]}`
+      // How unevenly starting winds were handed out (older results don't have it)
+      if (lastResults.seatScores && lastResults.seatScores[roundIndex] !== undefined) {
+        conflictScore.textContent += ` · Seat score: ${lastResults.seatScores[roundIndex]}`
+      }
+      if (lastResults.tableRepeats && lastResults.tableRepeats[roundIndex] !== undefined) {
+        conflictScore.textContent += ` · Table repeats: ${lastResults.tableRepeats[roundIndex]}`
+      }
       header.appendChild(conflictScore)
+
+      const locked = roundIndex < lockedRounds
+      roundDiv.classList.toggle('locked', locked)
+      if (isOrganizer && !tableScope && lastResults.done) {
+        const lockButton = document.createElement('button')
+        lockButton.className = 'lock-round-button organizer-only'
+        lockButton.textContent = locked ? '🔒 Locked' : '🔓 Lock'
+        lockButton.title = locked
+          ? 'Unlock this round (and any after it) so re-seating can change it'
+          : 'Keep this round (and every round before it) when re-seating'
+        lockButton.onclick = () => toggleRoundLock(roundIndex)
+        header.appendChild(lockButton)
+      } else if (locked) {
+        const lockLabel = document.createElement('span')
+        lockLabel.className = 'lock-round-label'
+        lockLabel.textContent = '🔒 Locked'
+        header.appendChild(lockLabel)
+      }
   
       const groups = document.createElement('div')
       groups.classList.add('groups')
   
       round.forEach((group, groupIndex) => {
+        if (tableScope && groupIndex !== tableScope.table) return
+
         const groupDiv = document.createElement('div')
         groupDiv.classList.add('group')
 
         // Create table header with timer link
         const groupName = document.createElement('h2')
-        groupName.textContent = `Table ${groupIndex + 1} `
+        const label = tableLabel(groupIndex)
+        groupName.textContent = label ? `Table ${groupIndex + 1} (${label}) ` : `Table ${groupIndex + 1} `
 
         // Add timer link button
         const timerLink = document.createElement('button')
         timerLink.className = 'timer-link-button'
         timerLink.textContent = '⏱️ Timer'
         timerLink.onclick = () => {
-          const tournamentHash = window.location.hash.substring(1);
+          const tournamentHash = parseTournamentRoute().tournamentHash;
           const timerId = `round-${roundIndex + 1}-table-${groupIndex + 1}`;
-          const url = `${window.location.origin}${window.location.pathname}#${tournamentHash}/timer/${timerId}`;
+          // A scorekeeper's token lets them run their own table's timer
+          const { tableToken } = parseTournamentRoute();
+          const url = `${window.location.origin}${window.location.pathname}#${tournamentHash}/timer/${timerId}${tableToken ? `/${tableToken}` : ''}`;
           window.open(url, '_blank', 'width=800,height=600');
         };
 
         groupName.appendChild(timerLink)
+
+        // Organizers can hand each table a link that only edits its own scores
+        if (isOrganizer) {
+          const entryLink = document.createElement('button')
+          entryLink.className = 'timer-link-button'
+          entryLink.textContent = '🔗 Entry link'
+          entryLink.onclick = () => {
+            wsClient.send('ISSUE_TABLE_TOKEN', { round: roundIndex, table: groupIndex })
+          }
+          groupName.appendChild(entryLink)
+        }
+
+        const tableKey = `round-${roundIndex}-table-${groupIndex}`
+        const handLogButton = document.createElement('button')
+        handLogButton.className = 'timer-link-button'
+        handLogButton.textContent = handLogs[tableKey] ? `📝 Hands (${handLogs[tableKey].length})` : '📝 Hands'
+        handLogButton.onclick = () => toggleHandLog(tableKey)
+        groupName.appendChild(handLogButton)
+
+        // Tables scored from a hand log don't need the calculator
+        if (canEditTable(roundIndex, groupIndex) && !handLogs[tableKey]) {
+          const calculatorButton = document.createElement('button')
+          calculatorButton.className = 'timer-link-button'
+          calculatorButton.textContent = '🧮 Calculator'
+          calculatorButton.onclick = () => toggleCalculator(tableKey)
+          groupName.appendChild(calculatorButton)
+        }
+
         groupDiv.appendChild(groupName)
   
         const members = document.createElement('ul')
-	let counter = 0;
-        group.forEach(personNumber => {
+        group.forEach((personNumber, seat) => {
           const member = document.createElement('li')
-	  member.classList.add('player-item');
-	  const textField = document.createElement('input')
-          member.textContent = `(${windNames[counter]}) ${playerName(personNumber)}: `
-	  textField.type = 'text';
-	//const randomValue = Math.floor(Math.random() * 50000);
-    	//textField.value = randomValue;
-
-	  const fieldId = `round-${roundIndex}-table-${groupIndex}-person-${personNumber}`
-	  textField.id = fieldId
-
-	    // Restore saved value if available
-	    if (textFieldRefs[fieldId] !== undefined) {
-		textField.value = textFieldRefs[fieldId]; // Set saved value
-	    }
-
-	      textField.addEventListener('input', () => {
-		      const currentValue = parseFloat(textField.value);
-
-		      // Only update if it's a valid number (allows typing "-" or "1." without it disappearing)
-		      if (!isNaN(currentValue)) {
-		        finalScores = {}
-		        textFieldRefs[fieldId] = currentValue;
-		        calculateValues();
-
-		        const scoreBoard = document.getElementById('scoreBoard');
-		        scoreBoard.innerHTML = '';
-
-		        const sortedScores = Object.entries(finalScores).sort((a, b) => b[1] - a[1]);
-		        const ul = document.createElement('ul');
-
-		        sortedScores.forEach(([person, score], index) => {
-			  const li = document.createElement('li');
-			  li.classList.add('player-item');
-			  var personNumberNested = person.replace('person-', '');
-			  const place = getOrdinalSuffix(index + 1);
-
-			  const textNode = document.createTextNode(`${place}:   ${playerName(personNumberNested)}:   ${score.toFixed(2)} `);
-			  li.appendChild(textNode);
-
-			  const chomboInput = document.createElement('input');
-			  chomboInput.type = 'number';
-			  chomboInput.min = '0';
-			  chomboInput.value = chomboRefs[person] || 0;
-			  chomboInput.style.width = '50px';
-			  chomboInput.style.marginLeft = '10px';
-			  chomboInput.placeholder = 'Chombo';
-
-			  chomboInput.addEventListener('input', () => {
-			    const chomboCount = parseInt(chomboInput.value) || 0;
-			    chomboRefs[person] = chomboCount;
-			    finalScores = {};
-			    calculateValues();
-			    updateScoreboard();
-
-			    syncStateToServer('UPDATE_CHOMBO', { person, count: chomboCount });
-			  });
-
-			  li.appendChild(chomboInput);
-			  ul.appendChild(li);
-		        });
-
-		        scoreBoard.appendChild(ul);
-
-		        // WebSocket sync
-		        syncStateToServer('UPDATE_TEXT_FIELD', { fieldId, value: currentValue });
-		      }
-	    });
-
-	  member.appendChild(textField)
+          member.classList.add('player-item')
+          member.dataset.person = personNumber
+          member.textContent = `(${(windNames[group.length] || windNames[4])[seat]}) ${playerName(personNumber)}: `
+          member.appendChild(createScoreInput(`round-${roundIndex}-table-${groupIndex}-person-${personNumber}`))
+          if (isOrganizer && !tableScope && lastResults.done && !locked) {
+            member.appendChild(createSwapButton(roundIndex, personNumber))
+          }
           members.appendChild(member)
-	  counter++;
         })
+
+        // Riichi sticks still on the table at the end count towards the
+        // expected point total when checking the table balances
+        const riichiItem = document.createElement('li')
+        riichiItem.classList.add('player-item', 'riichi-item')
+        riichiItem.textContent = 'Riichi sticks left on table: '
+        riichiItem.appendChild(createScoreInput(`round-${roundIndex}-table-${groupIndex}-riichi`))
+        members.appendChild(riichiItem)
         groupDiv.appendChild(members)
+
+        const balance = document.createElement('div')
+        balance.classList.add('table-balance')
+        groupDiv.appendChild(balance)
+        if (supersededHandLogs[tableKey]) groupDiv.appendChild(createSupersededLogs(tableKey))
+        groupDiv.dataset.tableKey = tableKey
+        if (openHandLogs.has(tableKey)) groupDiv.appendChild(createHandLog(roundIndex, groupIndex, group))
+        if (openCalculators.has(tableKey) && canEditTable(roundIndex, groupIndex) && !handLogs[tableKey]) {
+          groupDiv.appendChild(createHandCalculator(roundIndex, groupIndex, group))
+        }
+
         groups.appendChild(groupDiv)
       })
   
       roundDiv.appendChild(header)
       roundDiv.appendChild(groups)
+
+      const byes = roundByes(roundIndex)
+      if (byes.length > 0 && !tableScope) {
+        const byesDiv = document.createElement('div')
+        byesDiv.classList.add('byes')
+        byesDiv.textContent = 'Sitting out: '
+        byes.forEach((person, index) => {
+          const bye = document.createElement('span')
+          bye.dataset.person = person
+          bye.textContent = playerName(person)
+          if (isOrganizer && lastResults.done && !locked) bye.appendChild(createSwapButton(roundIndex, person))
+          byesDiv.append(index > 0 ? ', ' : '', bye)
+        })
+        roundDiv.appendChild(byesDiv)
+      }
       resultsDiv.appendChild(roundDiv)
     })
     
@@ -987,177 +1635,705 @@ function renderResults() {
       }
       
       summaryDiv.appendChild(elapsedTime)
+
+      // Only the thorough search reports whether it could prove its schedule is best
+      if (lastResults.optimal !== undefined) {
+        const optimality = document.createElement('div')
+        optimality.className = 'optimality'
+        optimality.textContent = lastResults.optimal
+          ? 'Proven optimal: no schedule has fewer repeat pairings.'
+          : 'Best schedule found within the time limit; it may not be optimal.'
+        // With the seed, the number of moves searched is what it takes to
+        // rebuild this schedule on another machine
+        if (lastResults.searchMoves !== undefined) {
+          optimality.textContent += ` Searched ${lastResults.searchMoves.toLocaleString()} moves.`
+        }
+        summaryDiv.appendChild(optimality)
+      }
+
+      // Swiss tournaments are seated one round at a time, and cancelled
+      // seating can be picked up again
+      if (isOrganizer && !tableScope && lastResults.rounds.length < forRounds) {
+        const nextRoundButton = document.createElement('button')
+        nextRoundButton.id = 'seat-next-round'
+        nextRoundButton.className = 'timer-link-button organizer-only'
+        nextRoundButton.textContent = seatingMode === 'swiss'
+          ? `Seat round ${lastResults.rounds.length + 1} from standings`
+          : 'Seat the remaining rounds'
+        nextRoundButton.onclick = seatNextRound
+        summaryDiv.appendChild(nextRoundButton)
+      }
       resultsDiv.appendChild(summaryDiv)
 
     } else {
-      resultsDiv.appendChild(document.createTextNode('Thinking...'));
+      resultsDiv.appendChild(createSeatingProgress())
     }
+    updateTableBalance()
+  } else if (seatingStatus) {
+    // Still working on the first round
+    resultsDiv.appendChild(createSeatingProgress())
   }
+  renderPairings()
+  applyPairHighlight()
+  applyPermissions();
 }
 
-document.addEventListener('DOMContentLoaded', init)
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg'
 
-const NEGATIVE_DEFAULT = -1000000;
+function svgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NAMESPACE, tag)
+  for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value)
+  return element
+}
 
-// Function to get the values and perform a calculation
-function calculateValues() {
-    //console.log(textFieldRefs);
+// Standings chart: a line per player through their total (or place) after
+// each round with scores. Clicking a line opens that player's breakdown and
+// picks them out on the chart.
+function renderStandingsChart() {
+  const chartDiv = document.getElementById('standingsChart')
+  chartDiv.innerHTML = ''
+  if (!lastResults) return
+  const progress = standingsAfterRounds(textFieldRefs, chomboRefs, readScoringRules(),
+    lastResults.rounds, lastResults.byes || [], tiebreakers)
+  if (progress.length === 0) {
+    chartDiv.textContent = 'The chart starts once the first scores are in.'
+    return
+  }
 
-  let nestedRefs = transformToNested(textFieldRefs);
-  processNestedScores(nestedRefs);
-  
-  // Apply chombo penalties after all rounds are processed
-  const chomboValue = parseInt(document.getElementById("chomboField").value) || 0;
-  for (const person in finalScores) {
-      const chomboCount = chomboRefs[person] || 0;
-      if (chomboCount > 0) {
-          finalScores[person] += chomboValue * chomboCount;
+  const width = 640
+  const height = 320
+  const margin = { top: 15, right: 130, bottom: 30, left: 50 }
+  const plotWidth = width - margin.left - margin.right
+  const plotHeight = height - margin.top - margin.bottom
+  const players = progress[progress.length - 1].map(entry => parseInt(entry.person.replace('person-', '')))
+  const valueOf = entry => chartMode === 'rank' ? entry.place : entry.score
+
+  // Places run from 1st at the top; totals from the highest at the top
+  let top, bottom
+  if (chartMode === 'rank') {
+    top = 1
+    bottom = Math.max(2, players.length)
+  } else {
+    const values = [0].concat(...progress.map(standings => standings.map(entry => entry.score)))
+    top = Math.max(...values)
+    bottom = Math.min(...values)
+    if (top === bottom) top = bottom + 1
+  }
+  const x = r => margin.left + (progress.length === 1 ? plotWidth / 2 : r * plotWidth / (progress.length - 1))
+  const y = value => margin.top + (top - value) / (top - bottom) * plotHeight
+
+  const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'standings-chart', role: 'img' })
+  const ticks = chartMode === 'rank'
+    ? players.map((_, i) => i + 1).filter(place => players.length <= 16 || place === 1 || place % 5 === 0)
+    : [0, 1, 2, 3, 4].map(i => bottom + (top - bottom) * i / 4)
+  ticks.forEach(value => {
+    svg.appendChild(svgElement('line', { x1: margin.left, x2: margin.left + plotWidth, y1: y(value), y2: y(value), class: 'chart-grid' }))
+    const label = svgElement('text', { x: margin.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-axis' })
+    label.textContent = chartMode === 'rank' ? getOrdinalSuffix(value) : Math.round(value)
+    svg.appendChild(label)
+  })
+  progress.forEach((_, r) => {
+    const label = svgElement('text', { x: x(r), y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' })
+    label.textContent = `Round ${r + 1}`
+    svg.appendChild(label)
+  })
+
+  players.forEach((player, i) => {
+    const person = `person-${player}`
+    const color = `hsl(${(i * 137.5) % 360}, 65%, 42%)`
+    const line = svgElement('g', { class: 'chart-line', stroke: color, fill: color })
+    line.classList.toggle('selected', detailPlayer === player)
+    line.classList.toggle('dimmed', detailPlayer !== null && detailPlayer !== player)
+    line.onclick = () => showPlayerDetail(player)
+
+    const points = []
+    progress.forEach((standings, r) => {
+      const entry = standings.find(other => other.person === person)
+      if (!entry) return
+      points.push([x(r), y(valueOf(entry))])
+      const dot = svgElement('circle', { cx: x(r), cy: y(valueOf(entry)), r: 3 })
+      const title = svgElement('title')
+      title.textContent = `${playerName(player)} after round ${r + 1}: ${entry.score.toFixed(2)} (${getOrdinalSuffix(entry.place)})`
+      dot.appendChild(title)
+      line.appendChild(dot)
+    })
+    line.insertBefore(svgElement('polyline', { points: points.map(point => point.join(',')).join(' '), fill: 'none' }), line.firstChild)
+
+    const [endX, endY] = points[points.length - 1]
+    const name = svgElement('text', { x: endX + 8, y: endY + 4, stroke: 'none', class: 'chart-name' })
+    name.textContent = playerName(player)
+    line.appendChild(name)
+    svg.appendChild(line)
+  })
+  chartDiv.appendChild(svg)
+}
+
+function setChartMode(mode) {
+  chartMode = mode
+  renderStandingsChart()
+}
+
+// Pairings panel: a heat-map of how often every two players met, and a list
+// of every pairing that happens more than once
+function renderPairings() {
+  const matrixDiv = document.getElementById('pairingsMatrix')
+  const repeatsDiv = document.getElementById('repeatPairings')
+  matrixDiv.innerHTML = ''
+  repeatsDiv.innerHTML = ''
+  if (!lastResults || lastResults.rounds.length === 0) return
+
+  const { counts, repeats } = pairingHistory(lastResults.rounds, numPlayers)
+  const matrix = document.createElement('table')
+  matrix.className = 'pairings-matrix'
+  const header = matrix.insertRow()
+  header.appendChild(document.createElement('th'))
+  counts.forEach((_, b) => {
+    const th = document.createElement('th')
+    th.textContent = b + 1
+    th.title = playerName(b)
+    header.appendChild(th)
+  })
+  counts.forEach((row, a) => {
+    const tr = matrix.insertRow()
+    const th = document.createElement('th')
+    th.textContent = `${a + 1}. ${playerName(a)}`
+    tr.appendChild(th)
+    row.forEach((count, b) => {
+      const cell = tr.insertCell()
+      if (a === b) {
+        cell.className = 'self'
+        return
       }
+      cell.textContent = count || ''
+      cell.className = `met-${Math.min(count, 3)}`
+      cell.title = `${playerName(a)} and ${playerName(b)}: ${count} ${count === 1 ? 'time' : 'times'}`
+      if (isHighlightedPair(a, b)) cell.classList.add('selected')
+      cell.onclick = () => highlightPair(a, b)
+    })
+  })
+  matrixDiv.appendChild(matrix)
+
+  const heading = document.createElement('strong')
+  heading.textContent = 'Repeat pairings'
+  repeatsDiv.appendChild(heading)
+  if (repeats.length === 0) {
+    repeatsDiv.appendChild(document.createTextNode(': nobody meets anybody more than once.'))
+    return
   }
-  //console.log(finalScores);
-}
-
-// Function to process the nested dictionary of rounds, tables, and people
-function processNestedScores(nestedDict) {
-    for (let round in nestedDict) {
-        if (nestedDict.hasOwnProperty(round)) {
-            const tables = nestedDict[round];
-            
-            for (let table in tables) {
-                if (tables.hasOwnProperty(table)) {
-                    const peopleAtTable = tables[table];
-
-                    // Pass the table (peopleAtTable) to another function for further processing
-                    processTableScores(peopleAtTable);
-                }
-            }
-        }
-    }
+  const list = document.createElement('ul')
+  repeats.forEach(({ players: [a, b], rounds }) => {
+    const item = document.createElement('li')
+    item.textContent = `${playerName(a)} and ${playerName(b)}: rounds ${rounds.map(r => r + 1).join(', ')}`
+    if (isHighlightedPair(a, b)) item.classList.add('selected')
+    item.onclick = () => highlightPair(a, b)
+    list.appendChild(item)
+  })
+  repeatsDiv.appendChild(list)
 }
 
-// Function to process each table's scores and find the placement order
-function processTableScores(peopleAtTable) {
-    // Extract the non-zero scores (people who participated in this table)
-    const oka = parseInt(document.getElementById("okaField").value);
-    const uma1 = parseInt(document.getElementById("uma1").value);
-    const uma2 = parseInt(document.getElementById("uma2").value);
-    const uma3 = parseInt(document.getElementById("uma3").value);
-    const uma4 = parseInt(document.getElementById("uma4").value);
-    const starting_points = parseInt(document.getElementById("starting_points").value);
+// Organizers swap two players in a round by picking one and then the other.
+// Picking the same player again, or one in another round, starts over.
+function createSwapButton(roundIndex, person) {
+  const button = document.createElement('button')
+  button.className = 'swap-button organizer-only'
+  button.textContent = '⇄'
+  button.title = 'Swap seats with another player in this round'
+  if (swapSelection && swapSelection.round === roundIndex && swapSelection.person === person) {
+    button.classList.add('swap-selected')
+  }
+  button.onclick = () => pickSwap(roundIndex, person)
+  return button
+}
 
-    const participants = Object.entries(peopleAtTable)
-        .filter(([person, score]) => score !== NEGATIVE_DEFAULT) // Filter out non-competing people
-        .sort((a, b) => b[1] - a[1]); // Sort by score in descending order
+// The table a player sits at in the given round, or null if they sit out
+function tableOf(roundIndex, person) {
+  const table = lastResults.rounds[roundIndex].findIndex(group => group.includes(person))
+  return table >= 0 ? table : null
+}
 
-	//console.log("table is");
-	//console.log(participants);
-	var num_people_at_table = Object.keys(participants).length;
+function pickSwap(roundIndex, person) {
+  const selected = swapSelection
+  if (!selected || selected.round !== roundIndex || selected.person === person ||
+      tableOf(roundIndex, selected.person) === tableOf(roundIndex, person)) {
+    swapSelection = selected && selected.round === roundIndex && selected.person === person
+      ? null
+      : { round: roundIndex, person }
+    renderResults()
+    return
+  }
 
-        let umaArr = [uma1, uma2, uma3, uma4]
-        let okaArr = [oka*num_people_at_table, 0, 0, 0]
+  // Moving a player makes the scores they had at their old table meaningless
+  const players = [selected.person, person]
+  const scored = players.some(player => {
+    const table = tableOf(roundIndex, player)
+    return table !== null && textFieldRefs[`round-${roundIndex}-table-${table}-person-${player}`] !== undefined
+  })
+  if (scored && !confirm(`Swap ${playerName(players[0])} and ${playerName(players[1])}? The scores already entered for them this round will be cleared, and a table scored from a hand log will need its scores entering again.`)) {
+    return
+  }
+  syncStateToServer('SWAP_SEATS', { round: roundIndex, players })
+}
 
-	imbueOkaAndUma(participants, num_people_at_table, starting_points, okaArr, umaArr);
+function isHighlightedPair(a, b) {
+  return highlightedPair !== null && highlightedPair.includes(a) && highlightedPair.includes(b)
 }
 
+// Picking the highlighted pair again clears the highlight
+function highlightPair(a, b) {
+  highlightedPair = isHighlightedPair(a, b) ? null : [a, b]
+  renderPairings()
+  applyPairHighlight()
+}
 
-function imbueOkaAndUma(participants, num_people_at_table, starting_points, oka_array, uma_array) {
+// Mark both players of the highlighted pair in every round, and the tables
+// where they sit together
+function applyPairHighlight() {
+  document.querySelectorAll('#results .group').forEach(groupDiv => {
+    const people = []
+    groupDiv.querySelectorAll('.player-item[data-person]').forEach(item => {
+      const person = Number(item.dataset.person)
+      people.push(person)
+      item.classList.toggle('highlighted', highlightedPair !== null && highlightedPair.includes(person))
+    })
+    groupDiv.classList.toggle('pair-met', highlightedPair !== null && highlightedPair.every(person => people.includes(person)))
+  })
+}
 
+// Score fields in the round tables. Every edit recalculates the standings
+// locally straight away and is sent on to the server.
+function createScoreInput(fieldId) {
+  const textField = document.createElement('input')
+  textField.type = 'text'
+  textField.id = fieldId
 
-    let adjustedOka = [...oka_array];
-    let adjustedUma = [...uma_array];
+  // Restore saved value if available
+  if (textFieldRefs[fieldId] !== undefined) {
+    textField.value = textFieldRefs[fieldId]
+  }
+  setScoredByHandLog(textField)
 
-    // Iterate through the participants to check for ties
-    for (let i = 0; i < participants.length; i++) {
-	let person = participants[i][0];
-        let score = participants[i][1];
-        let tiedIndices = [i]; // Start with the current index
+  textField.addEventListener('input', () => {
+    const currentValue = parseFloat(textField.value)
 
-        // Check for subsequent participants with the same score
-        while (i + 1 < participants.length && participants[i + 1][1] === score) {
-            tiedIndices.push(i + 1); // Add the index of the tied participant
-            i++; // Move to the next participant
-        }
+    // Only update if it's a valid number (allows typing "-" or "1." without it disappearing)
+    if (!isNaN(currentValue)) {
+      textFieldRefs[fieldId] = currentValue
+      finalScores = {}
+      calculateValues()
+      updateScoreboard()
+      updateTableBalance()
 
-        // If there are ties, average the corresponding values in oka_array and uma_array
-        if (tiedIndices.length > 1) {
-            const totalOka = tiedIndices.reduce((sum, index) => sum + adjustedOka[index], 0);
-            const totalUma = tiedIndices.reduce((sum, index) => sum + adjustedUma[index], 0);
-            const averageOka = totalOka / tiedIndices.length;
-            const averageUma = totalUma / tiedIndices.length;
-
-            // Update the tied indices with the averaged values
-            for (const index of tiedIndices) {
-                adjustedOka[index] = averageOka;
-                adjustedUma[index] = averageUma;
-	    }
-	}
+      // WebSocket sync
+      syncStateToServer('UPDATE_TEXT_FIELD', { fieldId, value: currentValue })
     }
-    for (let rank = 0; rank < participants.length; rank++) {
-        let person = participants[rank][0];
-        let score = participants[rank][1];
-
-	    const target = starting_points + oka_array[0];
-	    //console.log("num people, starting points, score, oka, uma");
-	    //console.log(num_people_at_table, starting_points, score, adjustedOka[rank], adjustedUma[rank]);
-	    finalScores[person] = (finalScores[person] || 0) + ((score + adjustedOka[rank] - target) / 1000) + adjustedUma[rank];
+  })
+  return textField
+}
+
+// Score fields of a table with a hand log show the scores worked out from it
+// and can't be typed into
+function setScoredByHandLog(textField) {
+  const match = /^(round-\d+-table-\d+)-/.exec(textField.id)
+  const scored = Boolean(match && handLogs[match[1]])
+  textField.readOnly = scored
+  textField.title = scored ? 'Worked out from the hand log' : ''
+}
+
+// Show a table's new scores and hand log without redrawing the whole page,
+// which would lose anything half-typed at other tables
+function refreshTableScores(tableKey) {
+  const groupDiv = document.querySelector(`#results .group[data-table-key="${tableKey}"]`)
+  if (!groupDiv) return
+  groupDiv.querySelectorAll('input[id^="round-"]').forEach(input => {
+    input.value = textFieldRefs[input.id] !== undefined ? textFieldRefs[input.id] : ''
+    setScoredByHandLog(input)
+  })
+  const [round, table] = tableKey.match(/\d+/g).map(Number)
+  const handLogButton = [...groupDiv.querySelectorAll('h2 button')].find(button => button.textContent.startsWith('📝'))
+  if (handLogButton) {
+    handLogButton.textContent = handLogs[tableKey] ? `📝 Hands (${handLogs[tableKey].length})` : '📝 Hands'
+  }
+  const handLog = groupDiv.querySelector('.hand-log')
+  if (handLog) handLog.replaceWith(createHandLog(round, table, lastResults.rounds[round][table]))
+  // Once a table keeps a hand log its scores come from there, not the calculator
+  if (handLogs[tableKey]) {
+    groupDiv.querySelectorAll('.hand-calculator').forEach(calculator => calculator.remove())
+    groupDiv.querySelectorAll('h2 button').forEach(button => {
+      if (button.textContent.startsWith('🧮')) button.remove()
+    })
+  }
+}
+
+function toggleHandLog(tableKey) {
+  if (openHandLogs.has(tableKey)) {
+    openHandLogs.delete(tableKey)
+  } else {
+    openHandLogs.add(tableKey)
+  }
+  renderResults()
+}
+
+// Organizers keep any table's hand log, scorekeepers only their own
+function canEditTable(roundIndex, tableIndex) {
+  return isOrganizer || (tableScope !== null && tableScope.round === roundIndex && tableScope.table === tableIndex)
+}
+
+// One line per logged hand: what happened and what everybody paid or got.
+// Anybody can read the log; the table's scorekeeper and the organizer can
+// add and remove hands.
+function createHandLog(roundIndex, tableIndex, group) {
+  const tableKey = `round-${roundIndex}-table-${tableIndex}`
+  const hands = handLogs[tableKey] || []
+  const handLog = document.createElement('div')
+  handLog.className = 'hand-log'
+
+  const { startingPoints } = rulesForTable(readScoringRules(), group.length)
+  const played = playHands(hands, group, startingPoints)
+  const list = document.createElement('ol')
+  played.hands.forEach((transfer, i) => {
+    const item = document.createElement('li')
+    const summary = document.createElement('div')
+    summary.textContent = describeHand(hands[i], transfer)
+    const changes = document.createElement('div')
+    changes.className = 'hand-transfers'
+    changes.textContent = group
+      .map(person => {
+        const delta = transfer.deltas[person]
+        return `${playerName(person)} ${delta > 0 ? '+' : ''}${delta.toLocaleString()} (${transfer.scores[person].toLocaleString()})`
+      })
+      .join(' · ')
+    item.append(summary, changes)
+    if (canEditTable(roundIndex, tableIndex)) {
+      const removeButton = document.createElement('button')
+      removeButton.className = 'small-button'
+      removeButton.textContent = '✕'
+      removeButton.title = 'Remove this hand'
+      removeButton.onclick = () => sendHandLog(roundIndex, tableIndex, hands.filter((_, j) => j !== i))
+      summary.appendChild(removeButton)
     }
+    list.appendChild(item)
+  })
+  handLog.appendChild(list)
+  if (hands.length === 0) {
+    const empty = document.createElement('div')
+    empty.className = 'help-text'
+    empty.textContent = 'No hands logged. Once a hand is logged, the scores at this table are worked out from the log.'
+    handLog.appendChild(empty)
+  } else if (played.riichiSticks > 0) {
+    const sticks = document.createElement('div')
+    sticks.textContent = `Riichi sticks on the table: ${played.riichiSticks}`
+    handLog.appendChild(sticks)
+  }
+
+  if (canEditTable(roundIndex, tableIndex)) {
+    handLog.appendChild(createHandForm(roundIndex, tableIndex, group, hands))
+  }
+  return handLog
 }
 
-function transformToNested(textFieldRefs) {
-    const nestedRefs = {}; // The new nested structure
-    let maxRound = 0, maxTable = 0, maxPerson = 0;
+// The hand logs a swap set aside at a table, for reference while its scores
+// are entered again
+function createSupersededLogs(tableKey) {
+  const details = document.createElement('details')
+  details.className = 'hand-log superseded-log'
+  const summary = document.createElement('summary')
+  const logs = supersededHandLogs[tableKey]
+  const count = logs.reduce((total, log) => total + log.hands.length, 0)
+  summary.textContent = `Hands logged before the line-up changed (${count})`
+  details.appendChild(summary)
+  logs.forEach(({ players, hands }) => {
+    const lineUp = document.createElement('div')
+    lineUp.textContent = `Played by ${players.map(playerName).join(', ')}`
+    const { startingPoints } = rulesForTable(readScoringRules(), players.length)
+    const list = document.createElement('ol')
+    playHands(hands, players, startingPoints).hands.forEach((transfer, i) => {
+      const item = document.createElement('li')
+      item.textContent = describeHand(hands[i], transfer)
+      list.appendChild(item)
+    })
+    details.append(lineUp, list)
+  })
+  return details
+}
 
+function describeHand(hand, transfer) {
+  const dealer = `Dealer ${playerName(hand.dealer)}${hand.honba ? `, ${hand.honba} honba` : ''}`
+  const riichi = hand.riichi.length > 0 ? ` · Riichi: ${hand.riichi.map(playerName).join(', ')}` : ''
+  if (hand.result === 'draw') {
+    const tenpai = hand.tenpai.length > 0 ? hand.tenpai.map(playerName).join(', ') : 'nobody'
+    return `${dealer}: draw, tenpai ${tenpai}${riichi}`
+  }
 
-    // First, extract the highest indices
-    for (const key in textFieldRefs) {
-        // Use a regex to extract numbers after 'round-', 'table-', and 'person-'
-        const match = key.match(/round-(\d+)-table-(\d+)-person-(\d+)/);
-        if (match) {
-            const roundIndex = parseInt(match[1]);  // Extracted round number
-            const tableIndex = parseInt(match[2]);  // Extracted table number
-            const personIndex = parseInt(match[3]); // Extracted person number
+  const value = transfer.value
+  const hanFu = hand.han === undefined ? '' : hand.han >= 5 ? `${hand.han} han, ` : `${hand.han} han ${hand.fu} fu, `
+  const limit = value.limit ? ` ${value.limit}` : ''
+  let payment
+  if (hand.result === 'ron') {
+    payment = `${value.ron.toLocaleString()}${limit}`
+  } else if (hand.winner === hand.dealer) {
+    payment = `${value.tsumo.dealer.toLocaleString()} all${limit}`
+  } else {
+    payment = `${value.tsumo.nonDealer.toLocaleString()}/${value.tsumo.dealer.toLocaleString()}${limit}`
+  }
+  const win = hand.result === 'ron'
+    ? `${playerName(hand.winner)} ron off ${playerName(hand.loser)}`
+    : `${playerName(hand.winner)} tsumo`
+  return `${dealer}: ${win}, ${hanFu}${payment}${riichi}`
+}
 
-            // Update the maximum values
-            maxRound = Math.max(maxRound, roundIndex);
-            maxTable = Math.max(maxTable, tableIndex);
-            maxPerson = Math.max(maxPerson, personIndex);
-        }
+// A select of the players at a table, with its label
+function labelledPlayerSelect(group, label, selected) {
+  const select = document.createElement('select')
+  group.forEach(person => select.add(new Option(playerName(person), person, false, person === selected)))
+  const wrapper = document.createElement('label')
+  wrapper.append(`${label} `, select)
+  return { wrapper, select }
+}
+
+// A checkbox for each player at a table, e.g. who declared riichi
+function labelledPlayerChecks(group, label) {
+  const wrapper = document.createElement('div')
+  wrapper.append(`${label}: `)
+  const boxes = group.map(person => {
+    const box = document.createElement('input')
+    box.type = 'checkbox'
+    box.value = person
+    const boxLabel = document.createElement('label')
+    boxLabel.append(box, ` ${playerName(person)} `)
+    wrapper.appendChild(boxLabel)
+    return box
+  })
+  const checked = () => boxes.filter(box => box.checked).map(box => Number(box.value))
+  const clear = () => boxes.forEach(box => { box.checked = false })
+  return { wrapper, checked, clear }
+}
+
+function labelledNumberInput(label, value, placeholder) {
+  const input = document.createElement('input')
+  input.type = 'number'
+  input.min = 0
+  input.value = value
+  input.placeholder = placeholder || ''
+  const wrapper = document.createElement('label')
+  wrapper.append(`${label} `, input)
+  return { wrapper, input }
+}
+
+// The form for the next hand, with the dealer and honba filled in from the
+// hands before it
+function createHandForm(roundIndex, tableIndex, group, hands) {
+  const form = document.createElement('div')
+  form.className = 'hand-form'
+  const defaults = nextHandDefaults(hands, group)
+
+  const playerSelect = (label, selected) => labelledPlayerSelect(group, label, selected)
+  const playerChecks = label => labelledPlayerChecks(group, label)
+
+  const result = document.createElement('select')
+  HAND_RESULTS.forEach(name => result.add(new Option(name[0].toUpperCase() + name.slice(1), name)))
+  const dealer = playerSelect('Dealer', defaults.dealer)
+  const honba = labelledNumberInput('Honba', defaults.honba)
+  const winner = playerSelect('Winner', group.find(person => person !== defaults.dealer))
+  const loser = playerSelect('from', defaults.dealer)
+  const han = labelledNumberInput('Han', '')
+  const fu = labelledNumberInput('Fu', '')
+  const points = labelledNumberInput('or points', '', 'e.g. 3900')
+  const riichi = playerChecks('Riichi')
+  const tenpai = playerChecks('Tenpai')
+
+  const winFields = [winner.wrapper, han.wrapper, fu.wrapper, points.wrapper]
+  const showFields = () => {
+    winFields.forEach(field => { field.style.display = result.value === 'draw' ? 'none' : '' })
+    loser.wrapper.style.display = result.value === 'ron' ? '' : 'none'
+    tenpai.wrapper.style.display = result.value === 'draw' ? '' : 'none'
+  }
+  result.onchange = showFields
+  showFields()
+
+  const addButton = document.createElement('button')
+  addButton.className = 'small-button'
+  addButton.textContent = 'Add hand'
+  addButton.onclick = () => {
+    const hand = normalizeHand({
+      result: result.value,
+      dealer: Number(dealer.select.value),
+      honba: parseInt(honba.input.value) || 0,
+      winner: Number(winner.select.value),
+      loser: Number(loser.select.value),
+      han: parseInt(han.input.value),
+      fu: parseInt(fu.input.value),
+      points: parseInt(points.input.value),
+      riichi: riichi.checked(),
+      tenpai: tenpai.checked(),
+    }, group)
+    if (!hand) {
+      alert('Check the hand: a win needs a winner (and a different player who dealt in, for a ron), and either han and fu (a ron needs more than 20 fu) or the points it was worth.')
+      return
     }
+    sendHandLog(roundIndex, tableIndex, hands.concat([hand]))
+  }
 
-    // Create the nested structure based on the max indices
-    for (let r = 0; r <= maxRound; r++) {
-        nestedRefs[`round-${r}`] = {};
-        for (let t = 0; t <= maxTable; t++) {
-            nestedRefs[`round-${r}`][`table-${t}`] = {};
-            for (let p = 0; p <= maxPerson; p++) {
-                // Initialize to 0 (or any other default value) if necessary
-		//console.log(r, t, p)
-                nestedRefs[`round-${r}`][`table-${t}`][`person-${p}`] = NEGATIVE_DEFAULT; // set to a negative default value too great to reach
-            }
-        }
+  const firstLine = document.createElement('div')
+  firstLine.append(result, ' ', dealer.wrapper, ' ', honba.wrapper)
+  const winLine = document.createElement('div')
+  winLine.append(winner.wrapper, ' ', loser.wrapper, ' ', han.wrapper, ' ', fu.wrapper, ' ', points.wrapper)
+  form.append(firstLine, winLine, riichi.wrapper, tenpai.wrapper, addButton)
+  return form
+}
+
+function sendHandLog(roundIndex, tableIndex, hands) {
+  syncStateToServer('UPDATE_HAND_LOG', { round: roundIndex, table: tableIndex, hands })
+}
+
+function toggleCalculator(tableKey) {
+  if (openCalculators.has(tableKey)) {
+    openCalculators.delete(tableKey)
+  } else {
+    openCalculators.add(tableKey)
+  }
+  renderResults()
+}
+
+// Works out what a winning hand pays every seat, and adds it to the scores
+// typed in at the table so far (seats without a score start from the
+// starting points). Players who declare riichi this hand pay their stick
+// to the winner; sticks from earlier hands can be no more than the ones
+// left on the table, and the winner takes them off it.
+function createHandCalculator(roundIndex, tableIndex, group) {
+  const tableKey = `round-${roundIndex}-table-${tableIndex}`
+  const riichiFieldId = `${tableKey}-riichi`
+  const calculator = document.createElement('div')
+  calculator.className = 'hand-calculator'
+
+  const result = document.createElement('select')
+  result.add(new Option('Ron', 'ron'))
+  result.add(new Option('Tsumo', 'tsumo'))
+  const dealer = labelledPlayerSelect(group, 'Dealer', group[0])
+  const winner = labelledPlayerSelect(group, 'Winner', group[1])
+  const loser = labelledPlayerSelect(group, 'from', group[0])
+  const han = labelledNumberInput('Han', '')
+  const fu = labelledNumberInput('Fu', '')
+  const honba = labelledNumberInput('Honba', 0)
+  const sticksOnTable = () => Math.max(0, parseInt(textFieldRefs[riichiFieldId]) || 0)
+  const sticks = labelledNumberInput('Sticks from earlier hands', sticksOnTable())
+  sticks.input.max = sticksOnTable()
+  const riichi = labelledPlayerChecks(group, 'Riichi this hand')
+  const preview = document.createElement('div')
+  preview.className = 'hand-transfers'
+  const applyButton = document.createElement('button')
+  applyButton.className = 'small-button'
+  applyButton.textContent = 'Apply to scores'
+
+  const readHand = () => {
+    const hand = normalizeHand({
+      result: result.value,
+      dealer: Number(dealer.select.value),
+      winner: Number(winner.select.value),
+      loser: Number(loser.select.value),
+      han: parseInt(han.input.value),
+      fu: parseInt(fu.input.value),
+      honba: parseInt(honba.input.value) || 0,
+      riichi: riichi.checked(),
+    }, group)
+    const pot = Math.min(sticksOnTable(), Math.max(0, parseInt(sticks.input.value) || 0))
+    return hand && { hand, pot, transfer: handTransfers(hand, group, pot) }
+  }
+
+  const update = () => {
+    loser.wrapper.style.display = result.value === 'ron' ? '' : 'none'
+    const calculated = readHand()
+    applyButton.disabled = !calculated
+    if (!calculated) {
+      preview.textContent = 'Pick the winner (and a different player who dealt in, for a ron) and enter han and fu; a ron needs more than 20 fu, and fu can be left out from 5 han up.'
+      return
     }
+    const { hand, pot, transfer } = calculated
+    const collected = pot + hand.riichi.length > 0 ? ` + ${pot + hand.riichi.length} riichi stick(s)` : ''
+    preview.textContent = `${describeHand(hand, transfer)}${collected}: ` + group
+      .map(person => {
+        const delta = transfer.deltas[person]
+        return `${playerName(person)} ${delta > 0 ? '+' : ''}${delta.toLocaleString()}`
+      })
+      .join(' · ')
+  }
+  applyButton.onclick = () => {
+    const calculated = readHand()
+    if (!calculated) return
+    const { startingPoints } = rulesForTable(readScoringRules(), group.length)
+    group.forEach(person => {
+      const fieldId = `${tableKey}-person-${person}`
+      const current = typeof textFieldRefs[fieldId] === 'number' ? textFieldRefs[fieldId] : startingPoints
+      setScoreField(fieldId, current + calculated.transfer.deltas[person])
+    })
+    if (calculated.pot > 0) setScoreField(riichiFieldId, sticksOnTable() - calculated.pot)
+    sticks.input.value = 0
+    sticks.input.max = sticksOnTable()
+    riichi.clear()
+    finalScores = {}
+    calculateValues()
+    updateScoreboard()
+    updateTableBalance()
+    update()
+  }
 
+  const firstLine = document.createElement('div')
+  firstLine.append(result, ' ', dealer.wrapper, ' ', winner.wrapper, ' ', loser.wrapper)
+  const secondLine = document.createElement('div')
+  secondLine.append(han.wrapper, ' ', fu.wrapper, ' ', honba.wrapper, ' ', sticks.wrapper)
+  calculator.append(firstLine, secondLine, riichi.wrapper, preview, applyButton)
+  calculator.addEventListener('input', update)
+  calculator.addEventListener('change', update)
+  update()
+  return calculator
+}
 
-    // Move the data from flat to nested structure
-    for (const key in textFieldRefs) {
-        const value = textFieldRefs[key];
-        const match = key.match(/round-(\d+)-table-(\d+)-person-(\d+)/);
-        if (match) {
-            const roundIndex = match[1];
-            const tableIndex = match[2];
-            const personIndex = match[3];
-
-            // Check if the structure exists before assigning value
-            if (nestedRefs[`round-${roundIndex}`] && nestedRefs[`round-${roundIndex}`][`table-${tableIndex}`]) {
-                nestedRefs[`round-${roundIndex}`][`table-${tableIndex}`][`person-${personIndex}`] = value;
-            } else {
-                console.error(`Structure not found for round-${roundIndex}, table-${tableIndex}, person-${personIndex}`);
-            }
-        }
-    
+// Set a score field as if it had been typed in
+function setScoreField(fieldId, value) {
+  textFieldRefs[fieldId] = value
+  const input = document.getElementById(fieldId)
+  if (input) input.value = value
+  syncStateToServer('UPDATE_TEXT_FIELD', { fieldId, value })
+}
+
+// Flag every table whose raw scores don't add up to the starting points
+function updateTableBalance() {
+  if (!lastResults) return
+  const { tables } = validateTables(lastResults.rounds, textFieldRefs, readScoringRules())
+
+  document.querySelectorAll('#results .group[data-table-key]').forEach(groupDiv => {
+    const status = tables[groupDiv.dataset.tableKey]
+    const balance = groupDiv.querySelector('.table-balance')
+    groupDiv.classList.toggle('unbalanced', status.complete && !status.balanced)
+    const reentry = !status.complete && Boolean(supersededHandLogs[groupDiv.dataset.tableKey])
+    groupDiv.classList.toggle('needs-reentry', reentry)
+
+    if (reentry) {
+      balance.textContent = '⚠ The line-up changed after hands were logged: enter this table\'s scores again'
+    } else if (!status.complete) {
+      balance.textContent = ''
+    } else if (status.balanced) {
+      balance.textContent = '✓ Scores balance'
+    } else {
+      const sticks = status.riichiSticks ? ` + ${status.riichiSticks} riichi stick(s)` : ''
+      balance.textContent = `⚠ Scores total ${status.sum.toLocaleString()}${sticks}, expected ${status.expected.toLocaleString()}`
     }
-    //console.log(nestedRefs);
-    return nestedRefs; // Return the new nested structure
+  })
+}
+
+document.addEventListener('DOMContentLoaded', init)
+
+// Read the scoring rules currently entered in the rule fields.
+// The math itself lives in lib/scoring.js, shared with the server.
+function readScoringRules() {
+  return normalizeRules(readRuleFields());
+}
+
+// Recompute finalScores from the entered table scores and chombos
+function calculateValues() {
+  finalScores = calculateStandings(
+    textFieldRefs, chomboRefs, readScoringRules(),
+    lastResults ? lastResults.rounds : [], lastResults ? lastResults.byes : []
+  );
 }
 
 function getOrdinalSuffix(n) {
@@ -1,4 +1,9 @@
 // WebSocket client module for real-time synchronization
+
+// Score edits made while disconnected are kept and sent once the connection
+// is back, instead of being dropped.
+const QUEUED_WHILE_OFFLINE = ['UPDATE_TEXT_FIELD', 'UPDATE_CHOMBO', 'UPDATE_HAND_LOG'];
+
 class WebSocketClient {
   constructor() {
     this.ws = null;
@@ -8,10 +13,18 @@ class WebSocketClient {
     this.messageHandlers = new Map();
     this.isReconnecting = false;
     this.tournamentHash = null;
+    this.secret = null;
+    this.tableToken = null;
+    this.pendingEdits = [];
   }
 
-  connect(tournamentHash) {
+  // Reconnects call connect() with no arguments and reuse the last hash,
+  // organizer secret and scorekeeper token.
+  connect(tournamentHash = this.tournamentHash, secret = this.secret, tableToken = this.tableToken) {
     this.tournamentHash = tournamentHash;
+    this.secret = secret;
+    this.tableToken = tableToken;
+    this.pendingEdits = this.loadPendingEdits();
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsUrl = `${protocol}//${window.location.host}`;
 
@@ -25,7 +38,12 @@ class WebSocketClient {
 
       // Join the tournament room
       if (this.tournamentHash) {
-        this.send('JOIN_TOURNAMENT', { hash: this.tournamentHash });
+        this.send('JOIN_TOURNAMENT', {
+          hash: this.tournamentHash,
+          secret: this.secret,
+          tableToken: this.tableToken
+        });
+        this.flushPendingEdits();
       }
     };
 
@@ -65,11 +83,60 @@ class WebSocketClient {
   send(type, payload) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify({ type, payload }));
+    } else if (QUEUED_WHILE_OFFLINE.includes(type)) {
+      this.queueEdit(type, payload);
     } else {
       console.warn('WebSocket not connected, message not sent:', type);
     }
   }
 
+  // Only the latest edit of each score field, chombo count or table's hand
+  // log is kept. The queue is saved in localStorage so a reload while offline
+  // doesn't lose it.
+  queueEdit(type, payload) {
+    const target = type === 'UPDATE_HAND_LOG'
+      ? `round-${payload.round}-table-${payload.table}`
+      : (payload.fieldId !== undefined ? payload.fieldId : payload.person);
+    const key = `${type}:${target}`;
+    this.pendingEdits = this.pendingEdits.filter(edit => edit.key !== key);
+    this.pendingEdits.push({ key, type, payload });
+    this.savePendingEdits();
+    this.showConnectionStatus(false);
+  }
+
+  // Send everything queued while offline. Called right after joining, so the
+  // server already knows which tournament the edits belong to.
+  flushPendingEdits() {
+    const edits = this.pendingEdits;
+    if (edits.length === 0) return;
+    console.log(`Sending ${edits.length} edit(s) made while offline`);
+    this.pendingEdits = [];
+    this.savePendingEdits();
+    edits.forEach(edit => this.ws.send(JSON.stringify({ type: edit.type, payload: edit.payload })));
+  }
+
+  pendingEditsKey() {
+    return `pendingEdits:${this.tournamentHash}`;
+  }
+
+  loadPendingEdits() {
+    if (!this.tournamentHash) return [];
+    try {
+      return JSON.parse(localStorage.getItem(this.pendingEditsKey())) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  savePendingEdits() {
+    if (!this.tournamentHash) return;
+    if (this.pendingEdits.length > 0) {
+      localStorage.setItem(this.pendingEditsKey(), JSON.stringify(this.pendingEdits));
+    } else {
+      localStorage.removeItem(this.pendingEditsKey());
+    }
+  }
+
   attemptReconnect() {
     if (this.isReconnecting) return;
 
@@ -116,7 +183,10 @@ class WebSocketClient {
         statusDiv.style.opacity = '0';
       }, 2000);
     } else {
-      statusDiv.textContent = '✗ Disconnected';
+      const pending = this.pendingEdits.length;
+      statusDiv.textContent = pending > 0
+        ? `✗ Disconnected, ${pending} ${pending === 1 ? 'edit' : 'edits'} waiting to sync`
+        : '✗ Disconnected';
       statusDiv.style.backgroundColor = '#f44336';
       statusDiv.style.color = 'white';
       statusDiv.style.opacity = '1';
@@ -140,11 +210,22 @@ class WebSocketClient {
     errorDiv.innerHTML = `
       <h2>Connection Lost</h2>
       <p>Unable to reconnect to server.</p>
+      ${this.pendingEdits.length > 0 ? '<p>Scores entered while offline are saved in this browser and will be sent after reloading.</p>' : ''}
       <button onclick="location.reload()">Reload Page</button>
     `;
     document.body.appendChild(errorDiv);
   }
 }
 
+// Organizer secrets are kept in localStorage, one per tournament, so the
+// organizer's browser stays authorized across reloads.
+function getOrganizerSecret(tournamentHash) {
+  return localStorage.getItem(`organizerSecret:${tournamentHash}`);
+}
+
+function saveOrganizerSecret(tournamentHash, secret) {
+  localStorage.setItem(`organizerSecret:${tournamentHash}`, secret);
+}
+
 // Global WebSocket client instance
 const wsClient = new WebSocketClient();